@@ -0,0 +1,106 @@
+// Slash Commands
+// Commands people type in the message box, e.g. "/me waves" or "/kick @sam".
+// Each command declares who may use it (everyone, moderators or the owner);
+// the registry checks that before running it. Commands without run() are
+// handled by the browser (like /clear) and are only listed here so /help and
+// autocomplete know about them.
+//
+// Modules add commands with register():
+//   registry.register({
+//     name: 'roll',
+//     usage: '/roll',
+//     description: 'Roll a die',
+//     permission: 'member',
+//     run({ socket, user, room, role }, args) { ... }
+//   });
+
+const COMMAND_NAME_PATTERN = /^[a-z][a-z0-9-]{0,19}$/;
+
+// Who may use a command; each role may also use the commands of the roles below it
+const PERMISSION_LEVELS = {
+  member: 0,
+  moderator: 1,
+  owner: 2
+};
+
+/**
+ * Split "@name rest of the text" into { username, rest }
+ * The @ is optional; username is '' when there is no name
+ */
+function parseMention(args) {
+  const match = /^@?(\S*)\s*([\s\S]*)$/.exec(args.trim());
+  return { username: match[1], rest: match[2].trim() };
+}
+
+/**
+ * Create an empty command registry
+ */
+function createCommandRegistry() {
+  // Format: Map<name, command>
+  const commands = new Map();
+
+  // Can someone with this room role (null for members) use the command?
+  function isAllowed(command, role) {
+    return PERMISSION_LEVELS[role || 'member'] >= PERMISSION_LEVELS[command.permission];
+  }
+
+  return {
+    /**
+     * Add a command
+     * Command: { name, usage, description, permission, run(context, args) }
+     * permission is 'member' (everyone), 'moderator' or 'owner'
+     */
+    register(command) {
+      if (!COMMAND_NAME_PATTERN.test(command.name)) {
+        throw new Error(`Invalid command name: ${command.name}`);
+      }
+      if (commands.has(command.name)) {
+        throw new Error(`Command already registered: /${command.name}`);
+      }
+      if (!Object.prototype.hasOwnProperty.call(PERMISSION_LEVELS, command.permission)) {
+        throw new Error(`Invalid permission for /${command.name}: ${command.permission}`);
+      }
+      commands.set(command.name, command);
+    },
+
+    /**
+     * The commands a room role may use, for /help and autocomplete
+     * Format: [{ name, usage, description, permission, clientSide }]
+     */
+    list(role) {
+      return Array.from(commands.values())
+        .filter((command) => isAllowed(command, role))
+        .map((command) => ({
+          name: command.name,
+          usage: command.usage,
+          description: command.description,
+          permission: command.permission,
+          clientSide: !command.run
+        }));
+    },
+
+    /**
+     * Run a command for someone in a room
+     * Context: { socket, user, room, role }
+     * Returns an error message, or null if the command ran
+     */
+    async run(name, context, args) {
+      const command = commands.get(name);
+      if (!command || !command.run) {
+        return `Unknown command /${name}. Type /help to see the commands.`;
+      }
+      if (!isAllowed(command, context.role)) {
+        return `You don't have permission to use /${name}`;
+      }
+
+      await command.run(context, args);
+      return null;
+    }
+  };
+}
+
+module.exports = {
+  COMMAND_NAME_PATTERN,
+  createCommandRegistry,
+  parseMention
+};
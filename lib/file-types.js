@@ -0,0 +1,305 @@
+// File Types
+// The allow-list of files that can be shared in a room.
+// Files are grouped into categories; each category has its own size limit
+// and decides how the client shows the file (image, GIF, player or download card).
+//
+// Limits can be changed with the UPLOAD_LIMITS environment variable, a
+// comma-separated list of "category=megabytes", e.g. "video=50,archive=0".
+// A limit of 0 turns a category off.
+//
+// The extension only picks the expected type: the file's first bytes
+// ("magic bytes") must match it too, see matchesFileType().
+//
+// Voice messages recorded in the browser have their own category ("voice"),
+// which is only used when an upload asks for it, never for attachments.
+
+const fs = require('fs');
+const path = require('path');
+
+const MB = 1024 * 1024;
+
+// Default categories: extension -> MIME type, and the size limit
+const DEFAULT_FILE_TYPES = {
+  image: {
+    maxSize: 5 * MB,
+    types: {
+      '.png': 'image/png',
+      '.jpg': 'image/jpeg',
+      '.jpeg': 'image/jpeg',
+      '.webp': 'image/webp'
+    }
+  },
+  gif: {
+    maxSize: 8 * MB,
+    types: {
+      '.gif': 'image/gif'
+    }
+  },
+  video: {
+    maxSize: 25 * MB,
+    types: {
+      '.mp4': 'video/mp4',
+      '.webm': 'video/webm',
+      '.mov': 'video/quicktime'
+    }
+  },
+  audio: {
+    maxSize: 10 * MB,
+    types: {
+      '.mp3': 'audio/mpeg',
+      '.ogg': 'audio/ogg',
+      '.wav': 'audio/wav',
+      '.m4a': 'audio/mp4'
+    }
+  },
+  document: {
+    maxSize: 10 * MB,
+    types: {
+      '.pdf': 'application/pdf',
+      '.txt': 'text/plain',
+      '.log': 'text/plain',
+      '.md': 'text/markdown',
+      '.csv': 'text/csv',
+      '.json': 'application/json'
+    }
+  },
+  archive: {
+    maxSize: 25 * MB,
+    types: {
+      '.zip': 'application/zip',
+      '.gz': 'application/gzip',
+      '.tar': 'application/x-tar'
+    }
+  },
+  voice: {
+    maxSize: 5 * MB,
+    types: {
+      '.webm': 'audio/webm',
+      '.ogg': 'audio/ogg',
+      '.m4a': 'audio/mp4'
+    }
+  }
+};
+
+// Categories only used when asked for by name (see lookup())
+const RECORDING_CATEGORIES = ['voice'];
+
+// Bytes read from the start of a file to detect its type
+// (tar puts its "ustar" marker at offset 257; text files are checked further)
+const SNIFF_LENGTH = 512;
+const TEXT_SNIFF_LENGTH = 64 * 1024;
+
+// Types without magic bytes: accepted when the content is plain UTF-8 text
+const TEXT_MIME_TYPES = ['text/plain', 'text/markdown', 'text/csv', 'application/json'];
+
+// Audio in a video container: the magic bytes are those of the container
+// (browsers record audio/mp4 with a video brand like "isom" or "mp42")
+const CONTAINER_MIME_TYPES = {
+  'audio/webm': 'video/webm',
+  'audio/mp4': 'video/mp4'
+};
+
+/**
+ * Check whether a buffer starts with the given bytes (at an offset)
+ */
+function startsWith(buffer, bytes, offset = 0) {
+  if (buffer.length < offset + bytes.length) {
+    return false;
+  }
+  return bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+// Byte values of an ASCII string, for startsWith()
+function ascii(text) {
+  return Array.from(text, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Detect a binary file type from its first bytes
+ * Returns a MIME type from the allow-list, or null if unknown
+ */
+function sniffMimeType(buffer) {
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return 'image/png';
+  }
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) {
+    return 'image/jpeg';
+  }
+  if (startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a'))) {
+    return 'image/gif';
+  }
+  if (startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8)) {
+    return 'image/webp';
+  }
+  if (startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WAVE'), 8)) {
+    return 'audio/wav';
+  }
+  if (startsWith(buffer, ascii('ftyp'), 4)) {
+    // ISO media: the "brand" tells QuickTime and M4A audio apart from MP4
+    const brand = buffer.toString('latin1', 8, 12);
+    if (brand === 'qt  ') {
+      return 'video/quicktime';
+    }
+    if (brand === 'M4A ' || brand === 'M4B ') {
+      return 'audio/mp4';
+    }
+    return 'video/mp4';
+  }
+  if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return 'video/webm';
+  }
+  if (startsWith(buffer, ascii('OggS'))) {
+    return 'audio/ogg';
+  }
+  if (startsWith(buffer, ascii('ID3')) || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) {
+    return 'audio/mpeg';
+  }
+  if (startsWith(buffer, ascii('%PDF-'))) {
+    return 'application/pdf';
+  }
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]) || startsWith(buffer, [0x50, 0x4b, 0x05, 0x06])) {
+    return 'application/zip';
+  }
+  if (startsWith(buffer, [0x1f, 0x8b])) {
+    return 'application/gzip';
+  }
+  if (startsWith(buffer, ascii('ustar'), 257)) {
+    return 'application/x-tar';
+  }
+  return null;
+}
+
+/**
+ * Check that a buffer looks like UTF-8 text (no NUL bytes, valid encoding)
+ * A cut-off buffer may end in the middle of a character, which is allowed.
+ */
+function isText(buffer, truncated) {
+  if (buffer.includes(0)) {
+    return false;
+  }
+  try {
+    // In stream mode an unfinished character at the end is not an error
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: truncated });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Read the start of a file
+ */
+async function readFileStart(filePath, length) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Check that a file's contents match the type expected from its extension
+ */
+async function matchesFileType(filePath, expectedMimeType) {
+  if (TEXT_MIME_TYPES.includes(expectedMimeType)) {
+    const start = await readFileStart(filePath, TEXT_SNIFF_LENGTH);
+    return isText(start, start.length === TEXT_SNIFF_LENGTH);
+  }
+  const sniffed = sniffMimeType(await readFileStart(filePath, SNIFF_LENGTH));
+  return sniffed === expectedMimeType || sniffed === CONTAINER_MIME_TYPES[expectedMimeType];
+}
+
+/**
+ * Parse UPLOAD_LIMITS ("category=megabytes,...") into { category: bytes }
+ */
+function parseUploadLimits(value) {
+  const limits = {};
+  if (!value) {
+    return limits;
+  }
+
+  value.split(',').forEach((entry) => {
+    const [category, megabytes] = entry.split('=').map((part) => part.trim());
+    const size = parseFloat(megabytes);
+    if (category && !isNaN(size) && size >= 0) {
+      limits[category] = Math.floor(size * MB);
+    }
+  });
+
+  return limits;
+}
+
+/**
+ * Create the allow-list, applying any size limit overrides
+ * Overrides: { category: bytes } (0 disables the category)
+ */
+function createFileTypes(overrides = {}) {
+  const categories = {};
+
+  Object.keys(DEFAULT_FILE_TYPES).forEach((category) => {
+    const maxSize = Object.prototype.hasOwnProperty.call(overrides, category)
+      ? overrides[category]
+      : DEFAULT_FILE_TYPES[category].maxSize;
+
+    if (maxSize > 0) {
+      categories[category] = {
+        maxSize: maxSize,
+        types: DEFAULT_FILE_TYPES[category].types
+      };
+    }
+  });
+
+  return {
+    /**
+     * Look up a file name in the allow-list
+     * Pass a category to only look in that one (needed for recording categories)
+     * Returns { category, mimeType, maxSize } or null if the type is not allowed
+     */
+    lookup(filename, onlyCategory) {
+      const ext = path.extname(filename || '').toLowerCase();
+      const searched = onlyCategory
+        ? Object.keys(categories).filter((category) => category === onlyCategory)
+        : Object.keys(categories).filter((category) => !RECORDING_CATEGORIES.includes(category));
+
+      for (const category of searched) {
+        const { types, maxSize } = categories[category];
+        if (Object.prototype.hasOwnProperty.call(types, ext)) {
+          return { category, mimeType: types[ext], maxSize };
+        }
+      }
+
+      return null;
+    },
+
+    /**
+     * Largest size limit of any category (the upload limit multer enforces)
+     */
+    maxFileSize() {
+      return Math.max(0, ...Object.values(categories).map((c) => c.maxSize));
+    },
+
+    /**
+     * Describe the allow-list for the client (extensions and size limits)
+     * Recording categories are left out: they can't be picked as attachments
+     */
+    describe() {
+      return Object.keys(categories)
+        .filter((category) => !RECORDING_CATEGORIES.includes(category))
+        .map((category) => ({
+          category,
+          extensions: Object.keys(categories[category].types),
+          maxSize: categories[category].maxSize
+        }));
+    }
+  };
+}
+
+module.exports = {
+  createFileTypes,
+  parseUploadLimits,
+  matchesFileType,
+  sniffMimeType
+};
@@ -0,0 +1,56 @@
+// Image Processing
+// Uploaded images are re-encoded so camera metadata (EXIF, including GPS
+// location) is dropped, and a small thumbnail is made for the chat.
+// The original is only downloaded when someone opens the image.
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// Thumbnails fit inside this box (in pixels), keeping the aspect ratio
+const THUMBNAIL_SIZE = 400;
+
+/**
+ * Name of the thumbnail for an uploaded image file
+ */
+function getThumbnailFilename(filename) {
+  return `${path.parse(filename).name}.thumb.webp`;
+}
+
+/**
+ * Strip metadata from an uploaded image and create its thumbnail
+ * The original file is replaced by the cleaned copy.
+ * The thumbnail is saved next to it as "<name>.thumb.webp".
+ * Returns { width, height, size, thumbnailFilename, thumbnailSize }
+ */
+async function processImage(filePath) {
+  // Read into memory first: the file is overwritten below
+  const original = await fs.promises.readFile(filePath);
+
+  // Apply the EXIF orientation before it is dropped, so photos stay upright.
+  // sharp writes no metadata unless asked to, so this copy is clean.
+  const { data, info } = await sharp(original)
+    .rotate()
+    .toBuffer({ resolveWithObject: true });
+
+  await fs.promises.writeFile(filePath, data);
+
+  const thumbnailFilename = getThumbnailFilename(path.basename(filePath));
+
+  const thumbnail = await sharp(data)
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toFile(path.join(path.dirname(filePath), thumbnailFilename));
+
+  return {
+    width: info.width,
+    height: info.height,
+    size: info.size,
+    thumbnailFilename,
+    thumbnailSize: thumbnail.size
+  };
+}
+
+module.exports = {
+  processImage
+};
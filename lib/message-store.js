@@ -0,0 +1,216 @@
+// Message Store
+// Keeps the message history of every room so it can be replayed on join.
+//
+// A store is any object with these methods:
+//   addMessage(roomId, message)   -> saves a message and returns it
+//   getHistory(roomId, limit)     -> returns the newest `limit` messages (oldest first)
+//   getMessage(roomId, id)        -> returns one message by ID (or null)
+//   updateMessage(roomId, id, changes) -> merges changes into a message and returns it
+//   getReplies(roomId, id)        -> returns all messages replying to a message (oldest first)
+//   getReplyCount(roomId, id)     -> returns the number of replies to a message
+//
+// Two stores are built in:
+//   'file'   - one JSON Lines file per room in the data directory (default)
+//   'memory' - plain in-memory arrays, lost on restart
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * An empty room: its messages, plus indexes kept up to date as messages are
+ * added so joins don't have to scan the whole history for every message
+ */
+function createRoom() {
+  return {
+    messages: [],
+    byId: new Map(),        // message ID -> message
+    replyCounts: new Map()  // message ID -> number of replies
+  };
+}
+
+/**
+ * Add a message to a room and its indexes
+ */
+function addToRoom(room, message) {
+  room.messages.push(message);
+  room.byId.set(message.id, message);
+  if (message.replyTo) {
+    room.replyCounts.set(message.replyTo, (room.replyCounts.get(message.replyTo) || 0) + 1);
+  }
+}
+
+/**
+ * In-memory store
+ * Useful for development and tests
+ */
+function createMemoryStore() {
+  // Keyed by room ID in a Map, so names like "constructor" are just rooms
+  const rooms = new Map();
+  const emptyRoom = createRoom();
+
+  function getRoom(roomId) {
+    return rooms.get(roomId) || emptyRoom;
+  }
+
+  return {
+    addMessage(roomId, message) {
+      if (!rooms.has(roomId)) {
+        rooms.set(roomId, createRoom());
+      }
+      addToRoom(rooms.get(roomId), message);
+      return message;
+    },
+
+    getHistory(roomId, limit) {
+      return getRoom(roomId).messages.slice(-limit);
+    },
+
+    getMessage(roomId, id) {
+      return getRoom(roomId).byId.get(id) || null;
+    },
+
+    updateMessage(roomId, id, changes) {
+      const message = this.getMessage(roomId, id);
+      if (!message) {
+        return null;
+      }
+      Object.assign(message, changes);
+      return message;
+    },
+
+    getReplies(roomId, id) {
+      return getRoom(roomId).messages.filter((m) => m.replyTo === id);
+    },
+
+    getReplyCount(roomId, id) {
+      return getRoom(roomId).replyCounts.get(id) || 0;
+    }
+  };
+}
+
+/**
+ * File-based store
+ * Each room is saved to <dataDir>/<roomId>.jsonl, one message per line.
+ * Rooms are loaded lazily and cached in memory after the first read.
+ *
+ * Updates (edits, reactions, deletes) are frequent, so instead of rewriting
+ * the file they are appended as { update: id, changes, removed } lines, where
+ * `removed` lists fields set to undefined. Loading a room folds them into
+ * their messages and compacts the file.
+ */
+function createFileStore(dataDir) {
+  const rooms = new Map();
+
+  // Make sure data directory exists
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+
+  // Room IDs come from users, so encode them before using as a filename
+  function roomFile(roomId) {
+    return path.join(dataDir, encodeURIComponent(roomId) + '.jsonl');
+  }
+
+  function loadRoom(roomId) {
+    if (rooms.has(roomId)) {
+      return rooms.get(roomId);
+    }
+
+    const room = createRoom();
+    const file = roomFile(roomId);
+
+    let updates = 0;
+    if (fs.existsSync(file)) {
+      const lines = fs.readFileSync(file, 'utf8').split('\n');
+      lines.forEach((line) => {
+        if (!line.trim()) {
+          return;
+        }
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          // Skip broken lines (e.g. a write cut short by a crash)
+          console.error(`Skipping corrupt line in ${file}`);
+          return;
+        }
+
+        if (record.update === undefined) {
+          addToRoom(room, record);
+          return;
+        }
+        const message = room.byId.get(record.update);
+        if (message) {
+          Object.assign(message, record.changes);
+          (record.removed || []).forEach((field) => delete message[field]);
+        }
+        updates++;
+      });
+    }
+
+    // Write the folded messages back so update lines don't pile up
+    if (updates > 0) {
+      fs.writeFileSync(file, room.messages.map((m) => JSON.stringify(m) + '\n').join(''));
+    }
+
+    rooms.set(roomId, room);
+    return room;
+  }
+
+  return {
+    addMessage(roomId, message) {
+      addToRoom(loadRoom(roomId), message);
+      fs.appendFileSync(roomFile(roomId), JSON.stringify(message) + '\n');
+      return message;
+    },
+
+    getHistory(roomId, limit) {
+      return loadRoom(roomId).messages.slice(-limit);
+    },
+
+    getMessage(roomId, id) {
+      return loadRoom(roomId).byId.get(id) || null;
+    },
+
+    // Appends an update line rather than rewriting the room file
+    updateMessage(roomId, id, changes) {
+      const message = loadRoom(roomId).byId.get(id);
+      if (!message) {
+        return null;
+      }
+      Object.assign(message, changes);
+      const removed = Object.keys(changes).filter((field) => changes[field] === undefined);
+      fs.appendFileSync(roomFile(roomId), JSON.stringify({ update: id, changes, removed }) + '\n');
+      return message;
+    },
+
+    getReplies(roomId, id) {
+      return loadRoom(roomId).messages.filter((m) => m.replyTo === id);
+    },
+
+    getReplyCount(roomId, id) {
+      return loadRoom(roomId).replyCounts.get(id) || 0;
+    }
+  };
+}
+
+/**
+ * Create the message store selected by name
+ */
+function createMessageStore(type, options = {}) {
+  switch (type) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+    case undefined:
+      return createFileStore(options.dataDir);
+    default:
+      throw new Error(`Unknown message store: ${type}`);
+  }
+}
+
+module.exports = {
+  createMessageStore,
+  createMemoryStore,
+  createFileStore
+};
@@ -0,0 +1,41 @@
+// Password Hashing
+// scrypt with a random salt per password, stored as "salt:hash" (both hex)
+
+const crypto = require('crypto');
+
+/**
+ * Hash a password with scrypt
+ * Returns "salt:hash" (both hex)
+ */
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, 64, (err, derivedKey) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(salt + ':' + derivedKey.toString('hex'));
+    });
+  });
+}
+
+/**
+ * Check a password against a stored "salt:hash"
+ */
+function verifyPassword(password, stored) {
+  return new Promise((resolve, reject) => {
+    const [salt, hash] = stored.split(':');
+    crypto.scrypt(password, salt, 64, (err, derivedKey) => {
+      if (err) {
+        return reject(err);
+      }
+      const expected = Buffer.from(hash, 'hex');
+      resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+    });
+  });
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword
+};
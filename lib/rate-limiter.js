@@ -0,0 +1,124 @@
+// Rate Limiter
+// Token buckets: each key (a socket, IP address or user) gets a bucket of
+// `capacity` tokens that refills at `refillPerSecond`. Every request takes a
+// token; when the bucket is empty the request is refused. This allows short
+// bursts while capping the sustained rate.
+
+// Buckets that have been full (idle) this long are dropped to save memory
+const IDLE_BUCKET_TTL = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Create a token bucket limiter
+ * Options: { capacity, refillPerSecond }
+ */
+function createRateLimiter({ capacity, refillPerSecond }) {
+  // Format: Map<key, { tokens, updatedAt }>
+  const buckets = new Map();
+
+  // Drop idle buckets every few minutes
+  setInterval(() => {
+    const now = Date.now();
+    buckets.forEach((bucket, key) => {
+      if (now - bucket.updatedAt > IDLE_BUCKET_TTL) {
+        buckets.delete(key);
+      }
+    });
+  }, IDLE_BUCKET_TTL).unref();
+
+  return {
+    /**
+     * Take `cost` tokens for a key
+     * Returns true if allowed, false if the key is over its rate
+     */
+    take(key, cost = 1) {
+      const now = Date.now();
+      let bucket = buckets.get(key);
+
+      if (!bucket) {
+        bucket = { tokens: capacity, updatedAt: now };
+        buckets.set(key, bucket);
+      } else {
+        const elapsed = (now - bucket.updatedAt) / 1000;
+        bucket.tokens = Math.min(capacity, bucket.tokens + elapsed * refillPerSecond);
+        bucket.updatedAt = now;
+      }
+
+      if (bucket.tokens < cost) {
+        return false;
+      }
+      bucket.tokens -= cost;
+      return true;
+    },
+
+    /**
+     * Forget a key (e.g. when its socket disconnects)
+     */
+    reset(key) {
+      buckets.delete(key);
+    }
+  };
+}
+
+/**
+ * Create a tracker for repeat offenders
+ * After `maxStrikes` refused requests within `window` ms, a key is blocked
+ * for `blockDuration` ms.
+ */
+function createStrikeTracker({ maxStrikes, window, blockDuration }) {
+  // Format: Map<key, [timestamps]> and Map<key, blockedUntil>
+  const strikes = new Map();
+  const blocked = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    blocked.forEach((until, key) => {
+      if (until < now) {
+        blocked.delete(key);
+      }
+    });
+    strikes.forEach((times, key) => {
+      if (times[times.length - 1] < now - window) {
+        strikes.delete(key);
+      }
+    });
+  }, IDLE_BUCKET_TTL).unref();
+
+  return {
+    /**
+     * Record a strike for each key
+     * Returns true if this strike got them blocked
+     */
+    strike(keys) {
+      const now = Date.now();
+      let justBlocked = false;
+
+      keys.forEach((key) => {
+        const times = (strikes.get(key) || []).filter((time) => time > now - window);
+        times.push(now);
+        strikes.set(key, times);
+
+        if (times.length >= maxStrikes) {
+          blocked.set(key, now + blockDuration);
+          strikes.delete(key);
+          justBlocked = true;
+        }
+      });
+
+      return justBlocked;
+    },
+
+    /**
+     * Seconds until none of these keys is blocked any more (0 if none are blocked)
+     */
+    blockedFor(keys) {
+      const now = Date.now();
+      const until = Math.max(0, ...keys.map((key) => blocked.get(key) || 0));
+      return until > now ? Math.ceil((until - now) / 1000) : 0;
+    }
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+  createStrikeTracker
+};
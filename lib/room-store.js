@@ -0,0 +1,212 @@
+// Room Store
+// Keeps room settings (owner, moderators, topic, password, invite list, mutes
+// and bans) in <dataDir>/rooms.json. Rooms are created explicitly with a password
+// or invite list, or claimed by the first person to join them; claimed rooms
+// stay open to everyone.
+
+const fs = require('fs');
+const path = require('path');
+const { hashPassword, verifyPassword } = require('./passwords');
+
+const MAX_ROOM_PASSWORD_LENGTH = 200;
+
+/**
+ * Create the room store
+ */
+function createRoomStore(dataDir) {
+  const file = path.join(dataDir, 'rooms.json');
+  // Room IDs come from users, so the map has no prototype: a room named
+  // "__proto__" or "constructor" is stored like any other
+  const rooms = Object.create(null);
+
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+  if (fs.existsSync(file)) {
+    Object.assign(rooms, JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+
+  function save() {
+    fs.writeFileSync(file, JSON.stringify(rooms, null, 2));
+  }
+
+  function addRoom(roomId, ownerId, { passwordHash = null, inviteOnly = false, unlisted = false }) {
+    rooms[roomId] = {
+      id: roomId,
+      ownerId: ownerId,
+      passwordHash: passwordHash,
+      inviteOnly: inviteOnly,
+      unlisted: unlisted,
+      invited: [],
+      moderators: [],
+      mutes: {},
+      bans: [],
+      createdAt: new Date().toISOString()
+    };
+    save();
+    return rooms[roomId];
+  }
+
+  // Rooms saved before moderation existed have no moderation fields
+  function withModeration(room) {
+    if (!room.moderators) {
+      Object.assign(room, { moderators: [], mutes: {}, bans: [] });
+    }
+    return room;
+  }
+
+  return {
+    /**
+     * Get a room's settings (null if the room was never created)
+     */
+    getRoom(roomId) {
+      return Object.prototype.hasOwnProperty.call(rooms, roomId) ? rooms[roomId] : null;
+    },
+
+    /**
+     * Create a room owned by a user
+     * Options: { password, inviteOnly, unlisted }
+     */
+    async createRoom(roomId, ownerId, options = {}) {
+      const { password, inviteOnly, unlisted } = options;
+
+      if (password && (typeof password !== 'string' || password.length > MAX_ROOM_PASSWORD_LENGTH)) {
+        throw new Error('Invalid room password');
+      }
+
+      const passwordHash = password ? await hashPassword(password) : null;
+
+      if (this.getRoom(roomId)) {
+        throw new Error('That room already exists');
+      }
+
+      return addRoom(roomId, ownerId, { passwordHash, inviteOnly: !!inviteOnly, unlisted: !!unlisted });
+    },
+
+    /**
+     * Get a room, making the user its owner if nobody has claimed it yet
+     */
+    claimRoom(roomId, ownerId) {
+      return this.getRoom(roomId) || addRoom(roomId, ownerId, {});
+    },
+
+    /**
+     * Check a room password (rooms without a password accept anything)
+     */
+    async checkPassword(room, password) {
+      if (!room.passwordHash) {
+        return true;
+      }
+      if (typeof password !== 'string' || !password || password.length > MAX_ROOM_PASSWORD_LENGTH) {
+        return false;
+      }
+      return verifyPassword(password, room.passwordHash);
+    },
+
+    /**
+     * Allow a user into an invite-only room
+     */
+    inviteUser(roomId, userId) {
+      const room = this.getRoom(roomId);
+      if (room && !room.invited.includes(userId)) {
+        room.invited.push(userId);
+        save();
+      }
+    },
+
+    /**
+     * Can this user enter the room? (owner or invited, for invite-only rooms)
+     */
+    isInvited(room, userId) {
+      return !room.inviteOnly || room.ownerId === userId || room.invited.includes(userId);
+    },
+
+    /**
+     * A user's role in a room: 'owner', 'moderator' or null
+     */
+    getRole(room, userId) {
+      if (!room) {
+        return null;
+      }
+      if (room.ownerId === userId) {
+        return 'owner';
+      }
+      return withModeration(room).moderators.includes(userId) ? 'moderator' : null;
+    },
+
+    /**
+     * Set the room topic shown under the room name ('' clears it)
+     */
+    setTopic(room, topic) {
+      room.topic = topic;
+      save();
+    },
+
+    /**
+     * Hide a room from the public room directory, or list it again
+     */
+    setUnlisted(room, unlisted) {
+      room.unlisted = unlisted;
+      save();
+    },
+
+    /**
+     * Promote a user to moderator, or take it away
+     */
+    setModerator(room, userId, isModerator) {
+      const { moderators } = withModeration(room);
+      room.moderators = moderators.filter((id) => id !== userId);
+      if (isModerator) {
+        room.moderators.push(userId);
+      }
+      save();
+    },
+
+    /**
+     * Mute a user for a number of minutes (0 lifts the mute)
+     */
+    muteUser(room, userId, minutes) {
+      const { mutes } = withModeration(room);
+      if (minutes > 0) {
+        mutes[userId] = Date.now() + minutes * 60 * 1000;
+      } else {
+        delete mutes[userId];
+      }
+      save();
+    },
+
+    /**
+     * Time (ms since epoch) until which a user is muted, or 0 if they aren't
+     */
+    getMutedUntil(room, userId) {
+      const { mutes } = withModeration(room);
+      const until = Object.prototype.hasOwnProperty.call(mutes, userId) ? mutes[userId] : 0;
+      return until > Date.now() ? until : 0;
+    },
+
+    /**
+     * Ban a user's account from a room, and their IP address if given
+     * Details: { userId, username, ip, bannedBy }
+     */
+    banUser(room, details) {
+      withModeration(room).bans.push(Object.assign({}, details, {
+        createdAt: new Date().toISOString()
+      }));
+      save();
+    },
+
+    /**
+     * Is this account or IP address banned? (the owner and moderators never are)
+     */
+    isBanned(room, userId, ip) {
+      if (this.getRole(room, userId)) {
+        return false;
+      }
+      return withModeration(room).bans.some((ban) => ban.userId === userId || (ban.ip && ban.ip === ip));
+    }
+  };
+}
+
+module.exports = {
+  createRoomStore
+};
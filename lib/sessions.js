@@ -0,0 +1,114 @@
+// Login Sessions
+// Sessions are random tokens kept in memory and sent to the browser in an
+// HttpOnly cookie. They are lost when the server restarts (users log in again).
+
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'akkuchat_session';
+const SESSION_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * Parse a Cookie header into an object
+ */
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) {
+    return cookies;
+  }
+
+  header.split(';').forEach((part) => {
+    const index = part.indexOf('=');
+    if (index === -1) {
+      return;
+    }
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+  });
+
+  return cookies;
+}
+
+/**
+ * Create the session manager
+ */
+function createSessionManager() {
+  // Format: { token: { userId, expiresAt } }
+  const sessions = {};
+
+  // Drop expired sessions once an hour
+  setInterval(() => {
+    const now = Date.now();
+    Object.keys(sessions).forEach((token) => {
+      if (sessions[token].expiresAt < now) {
+        delete sessions[token];
+      }
+    });
+  }, 60 * 60 * 1000).unref();
+
+  return {
+    /**
+     * Start a session for a user and return its token
+     */
+    create(userId) {
+      const token = crypto.randomBytes(32).toString('hex');
+      sessions[token] = {
+        userId: userId,
+        expiresAt: Date.now() + SESSION_MAX_AGE
+      };
+      return token;
+    },
+
+    /**
+     * Look up the user ID for a token (null if missing or expired)
+     */
+    getUserId(token) {
+      const session = token && sessions[token];
+      if (!session) {
+        return null;
+      }
+      if (session.expiresAt < Date.now()) {
+        delete sessions[token];
+        return null;
+      }
+      return session.userId;
+    },
+
+    destroy(token) {
+      delete sessions[token];
+    },
+
+    /**
+     * Get the session token from a request's cookies
+     */
+    getToken(req) {
+      return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+    },
+
+    /**
+     * Build the Set-Cookie header value for a token (or to clear it)
+     */
+    cookieHeader(token, secure) {
+      const parts = [
+        `${SESSION_COOKIE}=${token || ''}`,
+        'Path=/',
+        'HttpOnly',
+        'SameSite=Lax',
+        `Max-Age=${token ? SESSION_MAX_AGE / 1000 : 0}`
+      ];
+      if (secure) {
+        parts.push('Secure');
+      }
+      return parts.join('; ');
+    }
+  };
+}
+
+module.exports = {
+  createSessionManager,
+  parseCookies
+};
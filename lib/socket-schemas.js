@@ -0,0 +1,304 @@
+// Socket Event Schemas
+// Every event a client may send is declared here with the shape of its
+// payload: field types, lengths and allowed characters. Payloads are checked
+// before any handler runs, so handlers can trust what they destructure.
+// Events that aren't listed, unknown fields and wrong types are refused.
+//
+// A rule is { type, optional, nullable, ... } where type is one of:
+//   string  - { min, max, pattern, message }
+//   boolean
+//   integer - { min, max }
+//   number  - { min, max } (any finite number)
+//   enum    - { values }
+//   object  - { fields: { name: rule } }
+// A rule may also name a `check` that needs server state (e.g. "is this socket
+// in my room?"); the server passes those checks in when validating.
+
+const { COMMAND_NAME_PATTERN } = require('./commands');
+
+// Longest text message accepted (fits a decent code block)
+const MAX_MESSAGE_LENGTH = 2000;
+
+// Reactions must be a short run of emoji: pictographs (with an optional
+// presentation selector and skin tone), keycaps like 1️⃣ and flags, which may
+// be joined with ZWJ (e.g. 👩‍💻). Plain digits, # and * are not emoji.
+const EMOJI = /(?:\p{Extended_Pictographic}\ufe0f?[\u{1F3FB}-\u{1F3FF}]?|[0-9#*]\ufe0f?\u20e3|[\u{1F1E6}-\u{1F1FF}]{2})/u.source;
+const EMOJI_PATTERN = new RegExp(`^(?=.{1,16}$)${EMOJI}(?:\\u200d?${EMOJI})*$`, 'u');
+
+// Room IDs: letters, numbers, spaces, dots, dashes and underscores (no
+// leading or trailing space). Colons are left out so a room can never be
+// named like a personal "user:<id>" channel.
+const ROOM_ID_PATTERN = /^[\p{L}\p{N}_.-](?:[\p{L}\p{N} _.-]*[\p{L}\p{N}_.-])?$/u;
+const MAX_ROOM_ID_LENGTH = 30;
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,30}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SOCKET_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Session descriptions grow with the number of tracks; this is plenty
+const MAX_SDP_LENGTH = 100 * 1024;
+
+// Shared field rules
+const roomId = {
+  type: 'string',
+  max: MAX_ROOM_ID_LENGTH,
+  pattern: ROOM_ID_PATTERN,
+  check: 'notSocketId',
+  message: `Room IDs can be 1-${MAX_ROOM_ID_LENGTH} letters, numbers, spaces, dots, dashes or underscores`
+};
+const messageText = {
+  type: 'string',
+  max: MAX_MESSAGE_LENGTH,
+  message: `Messages can be at most ${MAX_MESSAGE_LENGTH} characters`
+};
+const id = { type: 'string', pattern: UUID_PATTERN };
+const roomSocket = { type: 'string', pattern: SOCKET_ID_PATTERN, check: 'inSameRoom' };
+const callType = { type: 'enum', values: ['audio', 'video'] };
+const roomCall = { type: 'boolean', optional: true };
+const sessionDescription = {
+  type: 'object',
+  fields: {
+    type: { type: 'enum', values: ['offer', 'answer'] },
+    sdp: { type: 'string', max: MAX_SDP_LENGTH }
+  }
+};
+const iceCandidate = {
+  type: 'object',
+  nullable: true,
+  fields: {
+    candidate: { type: 'string', max: 2048 },
+    sdpMid: { type: 'string', max: 64, optional: true, nullable: true },
+    sdpMLineIndex: { type: 'integer', min: 0, max: 1024, optional: true, nullable: true },
+    usernameFragment: { type: 'string', max: 256, optional: true, nullable: true }
+  }
+};
+
+// Call quality averages (null when a browser doesn't report them)
+const callStat = (max) => ({ type: 'number', min: 0, max, nullable: true });
+
+// Events sent without a payload
+const NO_PAYLOAD = { type: 'object', optional: true, fields: {} };
+
+// Payload schema of every event a client may send
+const SOCKET_SCHEMAS = {
+  'join-room': {
+    type: 'object',
+    fields: {
+      roomId,
+      password: { type: 'string', max: 200, optional: true },
+      // Our socket ID before the connection dropped (to carry on calls)
+      previousSocketId: { type: 'string', pattern: SOCKET_ID_PATTERN, optional: true }
+    }
+  },
+  'create-room': {
+    type: 'object',
+    fields: {
+      roomId,
+      password: { type: 'string', max: 200, optional: true },
+      inviteOnly: { type: 'boolean', optional: true },
+      unlisted: { type: 'boolean', optional: true }
+    }
+  },
+  'invite-to-room': {
+    type: 'object',
+    fields: {
+      username: {
+        type: 'string',
+        pattern: USERNAME_PATTERN,
+        message: 'Usernames are 3-30 letters, numbers, dots, dashes or underscores'
+      }
+    }
+  },
+  'set-moderator': {
+    type: 'object',
+    fields: { userId: id, moderator: { type: 'boolean' } }
+  },
+  'kick-user': { type: 'object', fields: { userId: id } },
+  'mute-user': {
+    type: 'object',
+    // Up to a week; 0 lifts the mute
+    fields: { userId: id, minutes: { type: 'integer', min: 0, max: 7 * 24 * 60 } }
+  },
+  'ban-user': {
+    type: 'object',
+    fields: { userId: id, byIp: { type: 'boolean', optional: true } }
+  },
+  'send-message': {
+    type: 'object',
+    fields: {
+      message: messageText,
+      replyTo: Object.assign({ optional: true, nullable: true }, id)
+    }
+  },
+  'run-command': {
+    type: 'object',
+    fields: {
+      name: { type: 'string', pattern: COMMAND_NAME_PATTERN, message: 'Unknown command' },
+      args: { type: 'string', max: MAX_MESSAGE_LENGTH }
+    }
+  },
+  'send-direct-message': {
+    type: 'object',
+    fields: { toUserId: id, message: messageText }
+  },
+  'send-image': { type: 'object', fields: { uploadId: id } },
+  'send-file': { type: 'object', fields: { uploadId: id } },
+  'send-voice': { type: 'object', fields: { uploadId: id } },
+  'edit-message': {
+    type: 'object',
+    fields: { messageId: id, message: messageText }
+  },
+  'delete-message': { type: 'object', fields: { messageId: id } },
+  'add-reaction': {
+    type: 'object',
+    fields: {
+      messageId: id,
+      emoji: { type: 'string', pattern: EMOJI_PATTERN, message: 'Invalid reaction' }
+    }
+  },
+  'remove-reaction': {
+    type: 'object',
+    fields: { messageId: id, emoji: { type: 'string', max: 64 } }
+  },
+  'get-thread': { type: 'object', fields: { messageId: id } },
+  'typing-start': NO_PAYLOAD,
+  'typing-stop': NO_PAYLOAD,
+  'mark-read': { type: 'object', fields: { messageId: id } },
+  'get-room-users': NO_PAYLOAD,
+  'call-user': {
+    type: 'object',
+    fields: { targetSocketId: roomSocket, callType }
+  },
+  'accept-call': { type: 'object', fields: { callerSocketId: roomSocket } },
+  'reject-call': { type: 'object', fields: { callerSocketId: roomSocket } },
+  'end-call': { type: 'object', fields: { targetSocketId: roomSocket } },
+  'call-recording': {
+    type: 'object',
+    fields: { targetSocketId: roomSocket, recording: { type: 'boolean' } }
+  },
+  'call-stats-summary': {
+    type: 'object',
+    fields: {
+      roomCall: { type: 'boolean' },
+      callType,
+      duration: { type: 'integer', min: 0, max: 7 * 24 * 60 * 60 },
+      samples: { type: 'integer', min: 0, max: 1000000 },
+      rtt: callStat(60000),
+      jitter: callStat(60000),
+      packetLoss: callStat(100),
+      bitrate: callStat(1000000),
+      connection: { type: 'enum', values: ['direct', 'relay'], nullable: true },
+      codec: { type: 'string', max: 64, pattern: /^[\w.-]+\/[\w.-]+$/, nullable: true }
+    }
+  },
+  'join-room-call': { type: 'object', fields: { callType } },
+  'leave-room-call': NO_PAYLOAD,
+  'webrtc-offer': {
+    type: 'object',
+    fields: { targetSocketId: roomSocket, offer: sessionDescription, roomCall }
+  },
+  'webrtc-answer': {
+    type: 'object',
+    fields: { targetSocketId: roomSocket, answer: sessionDescription, roomCall }
+  },
+  'webrtc-ice-candidate': {
+    type: 'object',
+    fields: { targetSocketId: roomSocket, candidate: iceCandidate, roomCall }
+  }
+};
+
+/**
+ * Check a value against a rule
+ * Returns an error message, or null if the value is fine
+ */
+function checkValue(rule, value, name, checks) {
+  if (value === undefined) {
+    return rule.optional ? null : `${name} is required`;
+  }
+  if (value === null) {
+    return rule.nullable ? null : `${name} must not be null`;
+  }
+
+  let valid;
+  switch (rule.type) {
+    case 'string':
+      valid = typeof value === 'string' &&
+        value.length >= (rule.min || 0) &&
+        (rule.max === undefined || value.length <= rule.max) &&
+        (!rule.pattern || rule.pattern.test(value));
+      break;
+    case 'boolean':
+      valid = typeof value === 'boolean';
+      break;
+    case 'integer':
+      valid = Number.isInteger(value) &&
+        (rule.min === undefined || value >= rule.min) &&
+        (rule.max === undefined || value <= rule.max);
+      break;
+    case 'number':
+      valid = typeof value === 'number' && Number.isFinite(value) &&
+        (rule.min === undefined || value >= rule.min) &&
+        (rule.max === undefined || value <= rule.max);
+      break;
+    case 'enum':
+      valid = rule.values.includes(value);
+      break;
+    case 'object':
+      return checkObject(rule, value, name, checks);
+    default:
+      throw new Error(`Unknown rule type: ${rule.type}`);
+  }
+
+  if (!valid) {
+    return rule.message || `${name} is invalid`;
+  }
+  if (rule.check) {
+    return checks[rule.check](value) || null;
+  }
+  return null;
+}
+
+/**
+ * Check an object's fields (fields that aren't declared are refused)
+ */
+function checkObject(rule, value, name, checks) {
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return `${name} must be an object`;
+  }
+
+  const unknown = Object.keys(value).find(
+    (key) => !Object.prototype.hasOwnProperty.call(rule.fields, key)
+  );
+  if (unknown) {
+    return `Unexpected field "${unknown}"`;
+  }
+
+  for (const field of Object.keys(rule.fields)) {
+    const error = checkValue(rule.fields[field], value[field], field, checks);
+    if (error) {
+      return error;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate the arguments of an incoming socket event
+ * `checks` holds the named checks rules can ask for: { name: (value) => error|null }
+ * Returns an error message, or null if the payload is valid
+ */
+function validateEvent(event, args, checks) {
+  if (!Object.prototype.hasOwnProperty.call(SOCKET_SCHEMAS, event)) {
+    return `Unknown event "${event}"`;
+  }
+  if (args.length > 1) {
+    return 'Too many arguments';
+  }
+  return checkValue(SOCKET_SCHEMAS[event], args[0], 'Payload', checks);
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  SOCKET_SCHEMAS,
+  validateEvent
+};
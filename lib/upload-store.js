@@ -0,0 +1,129 @@
+// Upload Store
+// Keeps a record of every uploaded file in <dataDir>/uploads.json: who
+// uploaded it, to which room, and what it is. Files are only served to
+// members of that room, and messages can only share uploads listed here.
+// The records are also used for storage quotas and the disk usage report.
+// Each upload can be shared in one message; `shared` is false until it is.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Bytes an upload takes on disk (the file and its thumbnail)
+ */
+function getDiskSize(record) {
+  return record.size + (record.thumbnailSize || 0);
+}
+
+/**
+ * Create the upload store
+ */
+function createUploadStore(dataDir) {
+  const file = path.join(dataDir, 'uploads.json');
+  let uploads = {};
+
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+  if (fs.existsSync(file)) {
+    uploads = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  function save() {
+    fs.writeFileSync(file, JSON.stringify(uploads, null, 2));
+  }
+
+  return {
+    /**
+     * Record a new upload and return it with its ID
+     * Details: { roomId, userId, filename, name, size, mimeType, category,
+     *            width, height, thumbnailFilename, thumbnailSize }
+     */
+    addUpload(details) {
+      const id = crypto.randomUUID();
+      uploads[id] = Object.assign({ id }, details, {
+        shared: false,
+        createdAt: new Date().toISOString()
+      });
+      save();
+      return uploads[id];
+    },
+
+    /**
+     * Get an upload by ID (null if unknown)
+     */
+    getUpload(id) {
+      return typeof id === 'string' && Object.prototype.hasOwnProperty.call(uploads, id)
+        ? uploads[id]
+        : null;
+    },
+
+    /**
+     * Remember the message an upload was shared in
+     */
+    markShared(id, messageId) {
+      Object.assign(uploads[id], { shared: true, messageId });
+      save();
+    },
+
+    /**
+     * All upload records (oldest first)
+     */
+    listUploads() {
+      return Object.values(uploads);
+    },
+
+    /**
+     * Forget uploads (their files must be deleted separately)
+     */
+    removeUploads(ids) {
+      if (ids.length === 0) {
+        return;
+      }
+      ids.forEach((id) => {
+        delete uploads[id];
+      });
+      save();
+    },
+
+    /**
+     * Bytes stored by one user (in all rooms)
+     */
+    getUserUsage(userId) {
+      return Object.values(uploads)
+        .filter((u) => u.userId === userId)
+        .reduce((total, u) => total + getDiskSize(u), 0);
+    },
+
+    /**
+     * Bytes stored in one room
+     */
+    getRoomUsage(roomId) {
+      return Object.values(uploads)
+        .filter((u) => u.roomId === roomId)
+        .reduce((total, u) => total + getDiskSize(u), 0);
+    },
+
+    /**
+     * Disk usage of every room, largest first
+     * Format: [{ roomId, files, bytes }]
+     */
+    getUsageByRoom() {
+      const rooms = Object.create(null); // room IDs come from users
+      Object.values(uploads).forEach((u) => {
+        if (!rooms[u.roomId]) {
+          rooms[u.roomId] = { roomId: u.roomId, files: 0, bytes: 0 };
+        }
+        rooms[u.roomId].files++;
+        rooms[u.roomId].bytes += getDiskSize(u);
+      });
+      return Object.values(rooms).sort((a, b) => b.bytes - a.bytes);
+    }
+  };
+}
+
+module.exports = {
+  createUploadStore,
+  getDiskSize
+};
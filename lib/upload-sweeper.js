@@ -0,0 +1,136 @@
+// Upload Sweeper
+// Deletes uploaded files that are no longer needed:
+//   - uploads older than the retention period (if one is set)
+//   - uploads that were never shared in a message (the sender gave up)
+//   - files in the uploads directory that no upload record points to
+//     (e.g. left behind by a failed or interrupted upload)
+//   - records whose file has disappeared from disk
+// It runs once at startup and then periodically.
+
+const fs = require('fs');
+const path = require('path');
+
+// Files without a record are only removed once they are this old,
+// so uploads still being processed are never touched
+const ORPHAN_MIN_AGE = 60 * 60 * 1000; // 1 hour
+
+// Uploads are shared straight after uploading; ones still unshared after
+// this long were abandoned. Records from before sharing was tracked have no
+// `shared` field and are kept.
+const UNSHARED_MAX_AGE = 15 * 60 * 1000; // 15 minutes
+
+// Files in the uploads directory that are never swept
+const KEEP_FILES = ['.gitkeep'];
+
+/**
+ * Create the sweeper
+ * Options: { uploadStore, uploadsDir, retentionDays } (0 days keeps uploads forever)
+ */
+function createUploadSweeper({ uploadStore, uploadsDir, retentionDays }) {
+  // Delete an upload's files (and thumbnail), ignoring ones already gone
+  function deleteFiles(record) {
+    [record.filename, record.thumbnailFilename].filter(Boolean).forEach((filename) => {
+      fs.unlink(path.join(uploadsDir, filename), (error) => {
+        if (error && error.code !== 'ENOENT') {
+          console.error(`Could not delete upload ${filename}:`, error.message);
+        }
+      });
+    });
+  }
+
+  // Delete uploads and forget their records
+  function removeUploads(records) {
+    records.forEach(deleteFiles);
+    uploadStore.removeUploads(records.map((record) => record.id));
+  }
+
+  return {
+    /**
+     * Remove expired and abandoned uploads, orphaned files and records without a file
+     * Returns the number of uploads and orphaned files removed
+     */
+    sweep() {
+      const now = Date.now();
+      const maxAge = retentionDays * 24 * 60 * 60 * 1000;
+
+      const removed = uploadStore.listUploads().filter((record) => {
+        const age = now - Date.parse(record.createdAt);
+        const expired = retentionDays > 0 && age > maxAge;
+        const abandoned = record.shared === false && age > UNSHARED_MAX_AGE;
+        return expired || abandoned || !fs.existsSync(path.join(uploadsDir, record.filename));
+      });
+      removeUploads(removed);
+
+      // Files on disk that no remaining record knows about
+      const known = new Set(KEEP_FILES);
+      uploadStore.listUploads().forEach((record) => {
+        known.add(record.filename);
+        if (record.thumbnailFilename) {
+          known.add(record.thumbnailFilename);
+        }
+      });
+
+      let orphans = 0;
+      fs.readdirSync(uploadsDir).forEach((filename) => {
+        if (known.has(filename)) {
+          return;
+        }
+        const filePath = path.join(uploadsDir, filename);
+        try {
+          const stats = fs.statSync(filePath);
+          if (stats.isFile() && now - stats.mtimeMs > ORPHAN_MIN_AGE) {
+            fs.unlinkSync(filePath);
+            orphans++;
+          }
+        } catch (error) {
+          console.error(`Could not sweep ${filename}:`, error.message);
+        }
+      });
+
+      return { uploads: removed.length, orphans };
+    },
+
+    /**
+     * Delete one upload (e.g. when the message sharing it is deleted)
+     */
+    deleteUpload(id) {
+      const record = uploadStore.getUpload(id);
+      if (record) {
+        removeUploads([record]);
+      }
+    },
+
+    /**
+     * Delete every upload of a room (e.g. when its last member leaves)
+     * Returns the number of uploads removed
+     */
+    deleteRoomUploads(roomId) {
+      const records = uploadStore.listUploads().filter((record) => record.roomId === roomId);
+      removeUploads(records);
+      return records.length;
+    },
+
+    /**
+     * Sweep now and then every `interval` milliseconds
+     */
+    start(interval) {
+      const run = () => {
+        try {
+          const result = this.sweep();
+          if (result.uploads > 0 || result.orphans > 0) {
+            console.log(`🧹 Removed ${result.uploads} old upload(s) and ${result.orphans} orphaned file(s)`);
+          }
+        } catch (error) {
+          console.error('Upload sweep failed:', error);
+        }
+      };
+
+      run();
+      setInterval(run, interval).unref();
+    }
+  };
+}
+
+module.exports = {
+  createUploadSweeper
+};
@@ -0,0 +1,141 @@
+// User Store
+// Keeps registered accounts in <dataDir>/users.json.
+// Passwords are hashed with scrypt and a random salt per user.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { hashPassword, verifyPassword } = require('./passwords');
+
+// Usernames: 3-30 letters, numbers, dots, dashes or underscores
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,30}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+
+/**
+ * Create the user store
+ * Users are indexed by lower-case username so names are unique regardless of case
+ */
+function createUserStore(dataDir) {
+  const file = path.join(dataDir, 'users.json');
+  let users = {};
+
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+  if (fs.existsSync(file)) {
+    users = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  function save() {
+    fs.writeFileSync(file, JSON.stringify(users, null, 2));
+  }
+
+  // Own-property lookup, so names like "__proto__" can't reach Object.prototype
+  function findUser(username) {
+    const key = username.toLowerCase();
+    return Object.prototype.hasOwnProperty.call(users, key) ? users[key] : null;
+  }
+
+  return {
+    /**
+     * Register a new account
+     * Throws an Error with a user-facing message if the details are not accepted
+     */
+    async createUser(username, password) {
+      if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        throw new Error('Username must be 3-30 letters, numbers, dots, dashes or underscores');
+      }
+      if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      }
+      if (password.length > MAX_PASSWORD_LENGTH) {
+        throw new Error('Password is too long');
+      }
+
+      const key = username.toLowerCase();
+      if (findUser(username) || key in Object.prototype) {
+        throw new Error('That username is already taken');
+      }
+
+      const passwordHash = await hashPassword(password);
+
+      // Check again: another registration may have finished while hashing
+      if (findUser(username)) {
+        throw new Error('That username is already taken');
+      }
+
+      users[key] = {
+        id: crypto.randomUUID(),
+        username: username,
+        passwordHash: passwordHash,
+        createdAt: new Date().toISOString()
+      };
+      save();
+
+      return { id: users[key].id, username: users[key].username };
+    },
+
+    /**
+     * Check a username and password
+     * Returns the user ({ id, username }) or null
+     */
+    async authenticate(username, password) {
+      if (typeof username !== 'string' || typeof password !== 'string' ||
+          password.length > MAX_PASSWORD_LENGTH) {
+        return null;
+      }
+
+      const user = findUser(username);
+      if (!user) {
+        return null;
+      }
+
+      const valid = await verifyPassword(password, user.passwordHash);
+      return valid ? { id: user.id, username: user.username } : null;
+    },
+
+    getUserById(id) {
+      const user = Object.values(users).find((u) => u.id === id);
+      return user ? { id: user.id, username: user.username } : null;
+    },
+
+    getUserByUsername(username) {
+      const user = typeof username === 'string' && findUser(username);
+      return user ? { id: user.id, username: user.username } : null;
+    },
+
+    /**
+     * Change a user's username
+     * Throws an Error with a user-facing message if the new name is not accepted
+     */
+    renameUser(id, newUsername) {
+      if (typeof newUsername !== 'string' || !USERNAME_PATTERN.test(newUsername)) {
+        throw new Error('Username must be 3-30 letters, numbers, dots, dashes or underscores');
+      }
+
+      const oldKey = Object.keys(users).find((key) => users[key].id === id);
+      if (!oldKey) {
+        throw new Error('User not found');
+      }
+
+      // Changing only the case of your own name is fine
+      const newKey = newUsername.toLowerCase();
+      if (newKey !== oldKey && (findUser(newUsername) || newKey in Object.prototype)) {
+        throw new Error('That username is already taken');
+      }
+
+      const user = users[oldKey];
+      delete users[oldKey];
+      user.username = newUsername;
+      users[newKey] = user;
+      save();
+
+      return { id: user.id, username: user.username };
+    }
+  };
+}
+
+module.exports = {
+  createUserStore
+};
@@ -1,39 +1,241 @@
 // Simple Room Chat - Client Side JavaScript
 // Handles Socket.IO connection, UI interactions, and message sending
 
-// Connect to Socket.IO server
-const socket = io();
+// Socket.IO connection (only connects once we are logged in)
+const socket = io({ autoConnect: false });
 
 // DOM Elements
 const joinScreen = document.getElementById('join-screen');
 const chatScreen = document.getElementById('chat-screen');
 const usernameInput = document.getElementById('username-input');
+const passwordInput = document.getElementById('password-input');
+const loginFields = document.getElementById('login-fields');
+const sessionInfo = document.getElementById('session-info');
+const sessionUsername = document.getElementById('session-username');
+const logoutBtn = document.getElementById('logout-btn');
+const registerBtn = document.getElementById('register-btn');
 const roomIdInput = document.getElementById('room-id-input');
+const roomPasswordGroup = document.getElementById('room-password-group');
+const roomPasswordInput = document.getElementById('room-password-input');
+const newRoomPasswordInput = document.getElementById('new-room-password-input');
+const newRoomInviteOnly = document.getElementById('new-room-invite-only');
+const newRoomUnlisted = document.getElementById('new-room-unlisted');
+const roomDirectory = document.getElementById('room-directory');
+const roomSearchInput = document.getElementById('room-search-input');
+const roomDirectoryList = document.getElementById('room-directory-list');
+const createRoomBtn = document.getElementById('create-room-btn');
+const inviteBtn = document.getElementById('invite-btn');
 const joinBtn = document.getElementById('join-btn');
 const leaveBtn = document.getElementById('leave-btn');
 const joinError = document.getElementById('join-error');
 const currentRoomId = document.getElementById('current-room-id');
+const roomTopic = document.getElementById('room-topic');
 const currentUsername = document.getElementById('current-username');
 const messagesContainer = document.getElementById('messages-container');
 const messageInput = document.getElementById('message-input');
+const commandSuggestionsBox = document.getElementById('command-suggestions');
 const sendBtn = document.getElementById('send-btn');
-const imageInput = document.getElementById('image-input');
-const imageBtn = document.querySelector('.image-btn');
+const fileInput = document.getElementById('file-input');
+const attachBtn = document.querySelector('.image-btn');
+const voiceBtn = document.getElementById('voice-btn');
+const voiceRecordingBar = document.getElementById('voice-recording-bar');
+const voiceRecordingTime = document.getElementById('voice-recording-time');
+const voiceCancelBtn = document.getElementById('voice-cancel-btn');
 const loadingOverlay = document.getElementById('loading-overlay');
+const deviceSettingsBtn = document.getElementById('device-settings-btn');
+const deviceSettingsModal = document.getElementById('device-settings-modal');
+const cameraPreview = document.getElementById('camera-preview');
+const cameraSelect = document.getElementById('camera-select');
+const microphoneSelect = document.getElementById('microphone-select');
+const speakerSelect = document.getElementById('speaker-select');
+const speakerUnsupported = document.getElementById('speaker-unsupported');
+const micMeterLevel = document.getElementById('mic-meter-level');
+const closeDeviceSettingsBtn = document.getElementById('close-device-settings');
+const replyBar = document.getElementById('reply-bar');
+const replyBarText = document.getElementById('reply-bar-text');
+const cancelReplyBtn = document.getElementById('cancel-reply-btn');
+const threadPanel = document.getElementById('thread-panel');
+const threadMessages = document.getElementById('thread-messages');
+const threadInput = document.getElementById('thread-input');
+const threadSendBtn = document.getElementById('thread-send-btn');
+const closeThreadBtn = document.getElementById('close-thread-btn');
+const typingIndicator = document.getElementById('typing-indicator');
+const dmPanel = document.getElementById('dm-panel');
+const dmTitle = document.getElementById('dm-title');
+const dmMessages = document.getElementById('dm-messages');
+const dmInput = document.getElementById('dm-input');
+const dmSendBtn = document.getElementById('dm-send-btn');
+const closeDmBtn = document.getElementById('close-dm-btn');
+
+// Logged-in account ({ id, username }), null when logged out
+let loggedInUser = null;
+
+// Our socket ID, and the one we had before the connection dropped (to rejoin
+// the room and carry on calls after reconnecting; null otherwise)
+let currentSocketId = null;
+let droppedSocketId = null;
 
 // Current user info (stored in memory)
+// role is our role in the room: 'owner', 'moderator' or null
 let currentUser = {
+    userId: '',
     username: '',
-    roomId: ''
+    roomId: '',
+    role: null
 };
 
+// Message we are currently replying to (null when not replying)
+let replyingTo = null;
+
+// ID of the message whose thread is open in the thread panel
+let openThreadId = null;
+
+// Direct message conversations, by the other member's user ID
+// Format: { userId: { username, messages: [], unread: 0 } }
+let directMessages = {};
+
+// User ID of the conversation open in the DM panel
+let openDmUserId = null;
+
+// Longest message the server accepts (also set on the text boxes in index.html)
+const MAX_MESSAGE_LENGTH = 2000;
+
+// File types we may share, with their size limits (loaded from the server)
+// Format: [{ category, extensions: ['.png', ...], maxSize }]
+let allowedFileTypes = null;
+
+// Voice message being recorded (null when not recording)
+// Format: { stream, recorder, chunks, mimeType, startedAt, timer, audioContext, analyser, levels, done }
+let voiceRecording = null;
+
+// Recording formats to try, with the file extension the server expects
+const VOICE_FORMATS = [
+    { mimeType: 'audio/webm;codecs=opus', extension: '.webm' },
+    { mimeType: 'audio/ogg;codecs=opus', extension: '.ogg' },
+    { mimeType: 'audio/mp4', extension: '.m4a' }
+];
+
+// Voice messages: longest and shortest recording (seconds), and waveform bars
+const MAX_VOICE_DURATION = 5 * 60;
+const MIN_VOICE_DURATION = 0.5;
+const VOICE_WAVEFORM_BARS = 40;
+
+// Playback speeds the voice player cycles through
+const VOICE_SPEEDS = [1, 1.5, 2];
+
+// Camera, microphone and speaker picked in the device settings ('' = browser default)
+// Remembered in this browser's localStorage
+const DEVICE_STORAGE_KEY = 'akkuchat-devices';
+let preferredDevices = loadPreferredDevices();
+
+// Camera preview and mic meter shown while the device settings are open
+// Format: { stream, audioContext, analyser, frame }
+let devicePreview = null;
+
+// Emoji offered in the reaction picker
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '🎉', '😮', '😢'];
+
+// Badges shown next to the room owner and moderators in the users sidebar
+const ROLE_BADGES = {
+    owner: { icon: '👑', title: 'Room owner' },
+    moderator: { icon: '🛡️', title: 'Moderator' }
+};
+
+// Public rooms in the room directory (sent by the server, kept up to date)
+// Format: [{ id, topic, members, hasPassword }]
+let publicRooms = [];
+
+// Slash commands we may use in this room (sent by the server)
+// Format: [{ name, usage, description, permission, clientSide }]
+let availableCommands = [];
+
+// Autocomplete suggestions shown above the message box, and the highlighted one
+// Format: [{ label, hint, insert }]
+let commandSuggestions = [];
+let selectedSuggestion = 0;
+
+// Commands the browser handles itself (the server lists them for /help)
+const CLIENT_COMMANDS = {
+    help: () => {
+        displaySystemMessage('Commands (start a message with // to send a plain "/"):');
+        availableCommands.forEach(command => {
+            displaySystemMessage(`${command.usage} — ${command.description}`);
+        });
+    },
+    clear: () => {
+        messagesContainer.innerHTML = '';
+    },
+    call: (args) => {
+        const match = /^@?(\S+)(?:\s+(video))?$/i.exec(args.trim());
+        if (!match) {
+            displaySystemMessage('Usage: /call @user [video]');
+            return;
+        }
+
+        const name = match[1].toLowerCase();
+        const target = roomUsers.find(u =>
+            u.username.toLowerCase() === name && u.userId !== currentUser.userId
+        );
+        if (!target) {
+            displaySystemMessage(`No one named "${match[1]}" is in this room`);
+            return;
+        }
+        initiateCall(target.socketId, target.username, match[2] ? 'video' : 'audio');
+    }
+};
+
+// Mute lengths offered in the moderation menu (minutes)
+const MUTE_OPTIONS = [
+    { label: 'Mute 5 minutes', minutes: 5 },
+    { label: 'Mute 1 hour', minutes: 60 },
+    { label: 'Mute 1 day', minutes: 24 * 60 }
+];
+
+// Typing indicator timings (milliseconds)
+const TYPING_RESEND_INTERVAL = 3000; // re-send typing-start at most this often
+const TYPING_IDLE_TIMEOUT = 3000;    // send typing-stop after this long without typing
+const TYPING_EXPIRY = 6000;          // forget others' typing if we hear nothing for this long
+
+// Our typing state
+let lastTypingSent = 0;
+let typingStopTimeout = null;
+
+// Other users currently typing
+// Format: { socketId: { username, timeout } }
+let typingUsers = {};
+
+// Last message each room member has read
+// Format: { username: messageId }
+let readReceipts = {};
+let lastReadSent = null;
+const MARK_READ_INTERVAL = 1000; // send mark-read at most this often while messages arrive
+let markReadTimeout = null;
+
 // ==================== EVENT LISTENERS ====================
 
 // Join Room Button Click
 joinBtn.addEventListener('click', handleJoinRoom);
 
+// Create Account Button Click
+registerBtn.addEventListener('click', handleRegister);
+
+// Log Out Button Click
+logoutBtn.addEventListener('click', handleLogout);
+
+// Create Private Room Button Click
+createRoomBtn.addEventListener('click', handleCreateRoom);
+
+// Invite Button Click (room owners)
+inviteBtn.addEventListener('click', handleInvite);
+
 // Enter key press on join inputs
 usernameInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+        passwordInput.focus();
+    }
+});
+
+passwordInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') {
         roomIdInput.focus();
     }
@@ -45,59 +247,378 @@ roomIdInput.addEventListener('keypress', (e) => {
     }
 });
 
+roomPasswordInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+        handleJoinRoom();
+    }
+});
+
 // Send Message Button Click
 sendBtn.addEventListener('click', handleSendMessage);
 
-// Enter key press on message input
-messageInput.addEventListener('keypress', (e) => {
-    if (e.key === 'Enter') {
+// Enter key press on message input (Shift+Enter adds a new line)
+// While command suggestions are open, arrows/Tab/Escape work the list instead
+messageInput.addEventListener('keydown', (e) => {
+    if (handleSuggestionKey(e)) {
+        return;
+    }
+    if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
         handleSendMessage();
     }
 });
 
+// Filter the room directory as we type
+roomSearchInput.addEventListener('input', renderRoomDirectory);
+
+// Grow the message box with its content
+messageInput.addEventListener('input', () => autoResizeTextarea(messageInput));
+
+// Suggest commands (and @names for them) while typing "/"
+messageInput.addEventListener('input', updateCommandSuggestions);
+messageInput.addEventListener('blur', () => renderCommandSuggestions([]));
+
 // Leave Room Button Click
 leaveBtn.addEventListener('click', handleLeaveRoom);
 
-// Image Upload Button Click
-imageBtn.addEventListener('click', () => {
-    imageInput.click();
+// Attach File Button Click
+attachBtn.addEventListener('click', () => {
+    fileInput.click();
+});
+
+// File Input Change (when file is selected)
+fileInput.addEventListener('change', handleFileUpload);
+
+// Device settings (camera, microphone and speaker)
+deviceSettingsBtn.addEventListener('click', openDeviceSettings);
+closeDeviceSettingsBtn.addEventListener('click', closeDeviceSettings);
+cameraSelect.addEventListener('change', () => selectDevice('camera', cameraSelect.value));
+microphoneSelect.addEventListener('change', () => selectDevice('microphone', microphoneSelect.value));
+speakerSelect.addEventListener('change', () => selectDevice('speaker', speakerSelect.value));
+if (navigator.mediaDevices) {
+    // Keep the lists up to date when a headset is plugged in or out
+    navigator.mediaDevices.addEventListener('devicechange', () => {
+        if (!deviceSettingsModal.classList.contains('hidden')) {
+            fillDeviceLists();
+        }
+    });
+}
+
+// Voice messages: hold the 🎤 button to record, release to send.
+// Releasing anywhere else (or the ✕ button, or Escape) cancels.
+voiceBtn.addEventListener('pointerdown', (e) => {
+    e.preventDefault();
+    // Touch pointers stick to the button; release them so we can tell where they end
+    if (voiceBtn.hasPointerCapture(e.pointerId)) {
+        voiceBtn.releasePointerCapture(e.pointerId);
+    }
+    startVoiceRecording();
+});
+document.addEventListener('pointerup', (e) => {
+    if (voiceRecording) {
+        stopVoiceRecording(e.target === voiceBtn || voiceBtn.contains(e.target));
+    }
+});
+document.addEventListener('pointercancel', () => stopVoiceRecording(false));
+voiceBtn.addEventListener('contextmenu', (e) => e.preventDefault());
+voiceCancelBtn.addEventListener('click', () => stopVoiceRecording(false));
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && voiceRecording) {
+        stopVoiceRecording(false);
+    }
+});
+
+// Cancel reply button
+cancelReplyBtn.addEventListener('click', cancelReply);
+
+// Typing indicator: tell others while we type, stop when we leave the box
+messageInput.addEventListener('input', handleTyping);
+messageInput.addEventListener('blur', stopTyping);
+
+// Mark messages as read when we come back to the tab
+window.addEventListener('focus', markLatestRead);
+document.addEventListener('visibilitychange', markLatestRead);
+
+// Escape cancels a reply
+messageInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && replyingTo && !e.defaultPrevented) {
+        cancelReply();
+    }
+});
+
+// Thread panel: send a reply and close the panel
+threadSendBtn.addEventListener('click', handleSendThreadReply);
+threadInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        handleSendThreadReply();
+    }
 });
+threadInput.addEventListener('input', () => autoResizeTextarea(threadInput));
+closeThreadBtn.addEventListener('click', closeThread);
+
+// Direct message panel: send a message and close the panel
+dmSendBtn.addEventListener('click', handleSendDirectMessage);
+dmInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        handleSendDirectMessage();
+    }
+});
+dmInput.addEventListener('input', () => autoResizeTextarea(dmInput));
+closeDmBtn.addEventListener('click', closeDirectMessages);
 
-// Image Input Change (when file is selected)
-imageInput.addEventListener('change', handleImageUpload);
+// Restore an existing login (if the session cookie is still valid)
+checkSession();
 
 // ==================== FUNCTIONS ====================
 
 /**
  * Handle joining a room
- * Validates inputs and sends join request to server
+ * Logs in first if needed, then sends join request to server
  */
-function handleJoinRoom() {
-    const username = usernameInput.value.trim();
+async function handleJoinRoom() {
     const roomId = roomIdInput.value.trim();
 
     // Clear any previous errors
     joinError.textContent = '';
 
     // Validate inputs
-    if (!username) {
-        showJoinError('Please enter a username!');
-        usernameInput.focus();
+    if (!roomId) {
+        showJoinError('Please enter a room ID!');
+        roomIdInput.focus();
         return;
     }
 
+    if (!loggedInUser) {
+        const loggedIn = await submitCredentials('/api/login');
+        if (!loggedIn) {
+            return;
+        }
+    }
+
+    // Store current user info
+    currentUser.roomId = roomId;
+
+    // Send join request to server (the server knows who we are from our session)
+    // The password is only needed for password-protected rooms
+    socket.emit('join-room', {
+        roomId,
+        password: roomPasswordInput.value || undefined
+    });
+}
+
+/**
+ * Handle creating a private room
+ * The server makes us the owner and joins us straight away
+ */
+async function handleCreateRoom() {
+    const roomId = roomIdInput.value.trim();
+
+    joinError.textContent = '';
+
     if (!roomId) {
         showJoinError('Please enter a room ID!');
         roomIdInput.focus();
         return;
     }
 
-    // Store current user info
-    currentUser.username = username;
+    if (!loggedInUser) {
+        const loggedIn = await submitCredentials('/api/login');
+        if (!loggedIn) {
+            return;
+        }
+    }
+
     currentUser.roomId = roomId;
 
-    // Send join request to server
-    socket.emit('join-room', { username, roomId });
+    socket.emit('create-room', {
+        roomId,
+        password: newRoomPasswordInput.value || undefined,
+        inviteOnly: newRoomInviteOnly.checked,
+        unlisted: newRoomUnlisted.checked
+    });
+}
+
+/**
+ * Show the public rooms matching the search box
+ * Clicking a room joins it (asking for the password if it has one)
+ */
+function renderRoomDirectory() {
+    const query = roomSearchInput.value.trim().toLowerCase();
+    const rooms = publicRooms.filter(room =>
+        !query || room.id.toLowerCase().includes(query) || room.topic.toLowerCase().includes(query)
+    );
+
+    roomDirectoryList.innerHTML = '';
+
+    if (rooms.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'room-directory-empty';
+        empty.textContent = publicRooms.length === 0
+            ? 'No public rooms right now. Enter a room ID above to start one!'
+            : 'No rooms match your search';
+        roomDirectoryList.appendChild(empty);
+        return;
+    }
+
+    rooms.forEach(room => {
+        const item = document.createElement('button');
+        item.className = 'room-directory-item';
+        item.title = `Join ${room.id}`;
+
+        const name = document.createElement('span');
+        name.className = 'room-directory-name';
+        name.textContent = room.hasPassword ? `🔒 ${room.id}` : room.id;
+
+        const members = document.createElement('span');
+        members.className = 'room-directory-members';
+        members.textContent = `👥 ${room.members}`;
+
+        item.appendChild(name);
+        item.appendChild(members);
+
+        if (room.topic) {
+            const topic = document.createElement('span');
+            topic.className = 'room-directory-topic';
+            topic.textContent = room.topic;
+            item.appendChild(topic);
+        }
+
+        item.onclick = () => {
+            roomIdInput.value = room.id;
+            handleJoinRoom();
+        };
+        roomDirectoryList.appendChild(item);
+    });
+}
+
+/**
+ * Handle inviting someone to the current room (room owners only)
+ */
+function handleInvite() {
+    const username = prompt('Username to invite:');
+    if (!username || !username.trim()) {
+        return;
+    }
+
+    socket.emit('invite-to-room', { username: username.trim() });
+}
+
+/**
+ * Handle creating an account
+ * Registers, logs in and joins the room if one was entered
+ */
+async function handleRegister() {
+    joinError.textContent = '';
+
+    const registered = await submitCredentials('/api/register');
+    if (registered && roomIdInput.value.trim()) {
+        handleJoinRoom();
+    }
+}
+
+/**
+ * Send the username and password to the login or register endpoint
+ * Returns true once logged in
+ */
+async function submitCredentials(endpoint) {
+    const username = usernameInput.value.trim();
+    const password = passwordInput.value;
+
+    if (!username) {
+        showJoinError('Please enter a username!');
+        usernameInput.focus();
+        return false;
+    }
+
+    if (!password) {
+        showJoinError('Please enter a password!');
+        passwordInput.focus();
+        return false;
+    }
+
+    try {
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            showJoinError(data.error || 'Login failed');
+            return false;
+        }
+
+        setLoggedIn(data.user);
+        return true;
+    } catch (error) {
+        console.error('Error logging in:', error);
+        showJoinError('Could not reach the server. Please try again.');
+        return false;
+    }
+}
+
+/**
+ * Restore the login from the session cookie (on page load)
+ */
+async function checkSession() {
+    try {
+        const response = await fetch('/api/me');
+        if (response.ok) {
+            const data = await response.json();
+            setLoggedIn(data.user);
+        }
+    } catch (error) {
+        console.error('Error checking session:', error);
+    }
+}
+
+/**
+ * Switch the join screen to "logged in" and connect the socket
+ */
+function setLoggedIn(user) {
+    loggedInUser = user;
+    passwordInput.value = '';
+
+    sessionUsername.textContent = user.username;
+    sessionInfo.classList.remove('hidden');
+    loginFields.classList.add('hidden');
+    registerBtn.classList.add('hidden');
+    roomDirectory.classList.remove('hidden');
+
+    if (!socket.connected) {
+        socket.connect();
+    }
+    roomIdInput.focus();
+}
+
+/**
+ * Switch the join screen back to the login form and disconnect
+ */
+function setLoggedOut() {
+    loggedInUser = null;
+
+    sessionInfo.classList.add('hidden');
+    loginFields.classList.remove('hidden');
+    registerBtn.classList.remove('hidden');
+    roomDirectory.classList.add('hidden');
+
+    socket.disconnect();
+}
+
+/**
+ * Handle logging out
+ */
+async function handleLogout() {
+    try {
+        await fetch('/api/logout', { method: 'POST' });
+    } catch (error) {
+        console.error('Error logging out:', error);
+    }
+    setLoggedOut();
+    usernameInput.focus();
 }
 
 /**
@@ -106,9 +627,14 @@ function handleJoinRoom() {
  */
 function handleLeaveRoom() {
     // End any active call
-    if (currentCall.targetSocketId || callInterface.classList.contains('hidden') === false) {
+    if (roomCall.active) {
+        leaveRoomCall();
+    } else if (currentCall.targetSocketId || callInterface.classList.contains('hidden') === false) {
         endCall();
     }
+
+    // Throw away a voice message being recorded
+    stopVoiceRecording(false);
     
     // Disconnect socket (will trigger disconnect event on server)
     socket.disconnect();
@@ -117,15 +643,31 @@ function handleLeaveRoom() {
     socket.connect();
     
     // Clear user info
-    currentUser = { username: '', roomId: '' };
+    currentUser = { userId: '', username: '', roomId: '', role: null };
     
-    // Clear messages
+    // Clear messages, reply, thread and direct messages
     messagesContainer.innerHTML = '';
+    cancelReply();
+    closeThread();
+    closeDirectMessages();
+    directMessages = {};
+
+    // Clear typing and read state
+    stopTyping();
+    Object.keys(typingUsers).forEach(sid => clearTimeout(typingUsers[sid].timeout));
+    typingUsers = {};
+    renderTypingIndicator();
+    readReceipts = {};
+    lastReadSent = null;
+    clearTimeout(markReadTimeout);
+    markReadTimeout = null;
     
     // Clear inputs
-    usernameInput.value = '';
     roomIdInput.value = '';
+    roomPasswordInput.value = '';
+    roomPasswordGroup.classList.add('hidden');
     messageInput.value = '';
+    inviteBtn.classList.add('hidden');
     
     // Clear users list
     if (usersList && userCount) {
@@ -153,674 +695,3867 @@ function handleSendMessage() {
         return;
     }
 
-    // Send message to server
-    socket.emit('send-message', { message });
+    // "/name ..." runs a command; "//..." sends a message starting with "/"
+    if (message.startsWith('/') && !message.startsWith('//')) {
+        runCommand(message);
+        clearMessageInput();
+        return;
+    }
+
+    // Send message to server (with the message it replies to, if any)
+    const payload = { message: message.startsWith('//') ? message.slice(1) : message };
+    if (replyingTo) {
+        payload.replyTo = replyingTo.id;
+    }
+    socket.emit('send-message', payload);
 
-    // Clear input field
+    // Clear input field and reply
+    clearMessageInput();
+    cancelReply();
+}
+
+/**
+ * Empty the message box after sending
+ */
+function clearMessageInput() {
     messageInput.value = '';
+    autoResizeTextarea(messageInput);
+    renderCommandSuggestions([]);
+    stopTyping();
     messageInput.focus();
 }
 
 /**
- * Handle image upload
- * Uploads image to server, then sends image URL via socket
+ * Run a slash command typed in the message box
+ * Browser commands run here; the rest are sent to the server
  */
-async function handleImageUpload(event) {
-    const file = event.target.files[0];
-
-    // Check if file was selected
-    if (!file) {
-        return;
-    }
+function runCommand(text) {
+    const match = /^\/(\S+)\s*([\s\S]*)$/.exec(text);
+    const name = match[1].toLowerCase();
+    const args = match[2];
 
-    // Validate file type (client-side check)
-    const allowedTypes = ['image/png', 'image/jpeg', 'image/jpg'];
-    if (!allowedTypes.includes(file.type)) {
-        alert('Only PNG and JPG images are allowed!');
-        imageInput.value = '';
+    if (Object.prototype.hasOwnProperty.call(CLIENT_COMMANDS, name)) {
+        CLIENT_COMMANDS[name](args);
         return;
     }
-
-    // Validate file size (5MB limit)
-    const maxSize = 5 * 1024 * 1024; // 5MB in bytes
-    if (file.size > maxSize) {
-        alert('Image size must be less than 5MB!');
-        imageInput.value = '';
+    if (!availableCommands.some(command => command.name === name)) {
+        displaySystemMessage(`Unknown command /${name}. Type /help to see the commands.`);
         return;
     }
 
-    // Show loading overlay
-    loadingOverlay.classList.remove('hidden');
-
-    try {
-        // Create FormData for file upload
-        const formData = new FormData();
-        formData.append('image', file);
-
-        // Upload image to server
-        const response = await fetch('/upload', {
-            method: 'POST',
-            body: formData
-        });
+    socket.emit('run-command', { name, args });
+}
 
-        if (!response.ok) {
-            throw new Error('Upload failed');
+/**
+ * Update the autocomplete list for what is typed in the message box
+ * "/na" suggests commands; "/kick @na" suggests people in the room
+ */
+function updateCommandSuggestions() {
+    const text = messageInput.value;
+    const commandMatch = /^\/(\S*)$/.exec(text);
+    const mentionMatch = /^\/(\S+)\s+@?(\S*)$/.exec(text);
+    let suggestions = [];
+
+    if (commandMatch) {
+        const typed = commandMatch[1].toLowerCase();
+        suggestions = availableCommands
+            .filter(command => command.name.startsWith(typed))
+            .map(command => ({
+                label: command.usage,
+                hint: command.description,
+                insert: `/${command.name} `
+            }));
+    } else if (mentionMatch) {
+        const command = availableCommands.find(c => c.name === mentionMatch[1].toLowerCase());
+        const typed = mentionMatch[2].toLowerCase();
+        const prefix = text.slice(0, text.length - mentionMatch[2].length).replace(/@?$/, '@');
+
+        if (command && command.usage.includes('@user')) {
+            const names = [...new Set(roomUsers
+                .filter(u => u.userId !== currentUser.userId)
+                .map(u => u.username))];
+            suggestions = names
+                .filter(name => name.toLowerCase().startsWith(typed))
+                .map(name => ({ label: `@${name}`, hint: '', insert: `${prefix}${name} ` }));
         }
+    }
 
-        const data = await response.json();
+    renderCommandSuggestions(suggestions);
+}
 
-        // Send image URL to server via socket
-        socket.emit('send-image', { imageUrl: data.imageUrl });
+/**
+ * Show autocomplete suggestions above the message box (an empty list hides them)
+ */
+function renderCommandSuggestions(suggestions) {
+    commandSuggestions = suggestions;
+    selectedSuggestion = 0;
+    commandSuggestionsBox.innerHTML = '';
+    commandSuggestionsBox.classList.toggle('hidden', suggestions.length === 0);
+
+    suggestions.forEach((suggestion, index) => {
+        const item = document.createElement('div');
+        item.className = 'command-suggestion';
+        item.classList.toggle('selected', index === selectedSuggestion);
+
+        const label = document.createElement('span');
+        label.className = 'command-suggestion-label';
+        label.textContent = suggestion.label;
+        item.appendChild(label);
+
+        if (suggestion.hint) {
+            const hint = document.createElement('span');
+            hint.className = 'command-suggestion-hint';
+            hint.textContent = suggestion.hint;
+            item.appendChild(hint);
+        }
 
-        // Clear file input
-        imageInput.value = '';
-    } catch (error) {
-        console.error('Error uploading image:', error);
-        alert('Failed to upload image. Please try again.');
-    } finally {
-        // Hide loading overlay
-        loadingOverlay.classList.add('hidden');
-    }
+        // mousedown (not click) so the message box keeps focus
+        item.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            applySuggestion(index);
+        });
+        commandSuggestionsBox.appendChild(item);
+    });
 }
 
 /**
- * Display a join error message
+ * Put a suggestion into the message box
  */
-function showJoinError(message) {
-    joinError.textContent = message;
+function applySuggestion(index) {
+    messageInput.value = commandSuggestions[index].insert;
+    messageInput.focus();
+    updateCommandSuggestions();
 }
 
 /**
- * Display a text message in the chat
+ * Keyboard handling for the suggestion list
+ * Returns true if the key was used by the list
  */
-function displayMessage(username, message, timestamp) {
-    const messageDiv = document.createElement('div');
-    messageDiv.className = 'message';
-
-    const messageHeader = document.createElement('div');
-    messageHeader.className = 'message-header';
+function handleSuggestionKey(e) {
+    if (commandSuggestions.length === 0) {
+        return false;
+    }
 
-    const usernameSpan = document.createElement('span');
-    usernameSpan.className = 'message-username';
-    usernameSpan.textContent = username;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        selectedSuggestion = (selectedSuggestion + step + commandSuggestions.length) % commandSuggestions.length;
+        commandSuggestionsBox.querySelectorAll('.command-suggestion').forEach((item, index) => {
+            item.classList.toggle('selected', index === selectedSuggestion);
+        });
+    } else if (e.key === 'Tab') {
+        applySuggestion(selectedSuggestion);
+    } else if (e.key === 'Escape') {
+        renderCommandSuggestions([]);
+    } else {
+        return false;
+    }
 
-    const timestampSpan = document.createElement('span');
-    timestampSpan.className = 'message-timestamp';
-    timestampSpan.textContent = timestamp;
+    e.preventDefault();
+    return true;
+}
 
-    messageHeader.appendChild(usernameSpan);
-    messageHeader.appendChild(timestampSpan);
+/**
+ * Handle typing in the message box
+ * Sends typing-start (throttled) and schedules typing-stop after a pause
+ */
+function handleTyping() {
+    if (!messageInput.value.trim()) {
+        stopTyping();
+        return;
+    }
 
-    const messageContent = document.createElement('div');
-    messageContent.className = 'message-content text';
-    messageContent.textContent = message;
+    const now = Date.now();
+    if (now - lastTypingSent > TYPING_RESEND_INTERVAL) {
+        socket.emit('typing-start');
+        lastTypingSent = now;
+    }
 
-    messageDiv.appendChild(messageHeader);
-    messageDiv.appendChild(messageContent);
+    clearTimeout(typingStopTimeout);
+    typingStopTimeout = setTimeout(stopTyping, TYPING_IDLE_TIMEOUT);
+}
 
-    messagesContainer.appendChild(messageDiv);
+/**
+ * Tell others we stopped typing (only if we said we started)
+ */
+function stopTyping() {
+    clearTimeout(typingStopTimeout);
+    typingStopTimeout = null;
 
-    // Scroll to bottom
-    scrollToBottom();
+    if (lastTypingSent) {
+        socket.emit('typing-stop');
+        lastTypingSent = 0;
+    }
 }
 
 /**
- * Display an image message in the chat
+ * Show who is typing above the input area
  */
-function displayImage(username, imageUrl, timestamp) {
-    const messageDiv = document.createElement('div');
-    messageDiv.className = 'message';
+function renderTypingIndicator() {
+    const names = Object.keys(typingUsers).map(sid => typingUsers[sid].username);
+
+    if (names.length === 0) {
+        typingIndicator.textContent = '';
+    } else if (names.length === 1) {
+        typingIndicator.textContent = `${names[0]} is typing…`;
+    } else if (names.length <= 3) {
+        typingIndicator.textContent = `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]} are typing…`;
+    } else {
+        typingIndicator.textContent = 'Several people are typing…';
+    }
+}
 
-    const messageHeader = document.createElement('div');
-    messageHeader.className = 'message-header';
-
-    const usernameSpan = document.createElement('span');
-    usernameSpan.className = 'message-username';
-    usernameSpan.textContent = username;
+/**
+ * Tell the server we have read up to the newest message
+ * Only while the chat is visible and the tab is in the foreground
+ */
+function markLatestRead() {
+    if (document.hidden || !document.hasFocus() || chatScreen.classList.contains('hidden')) {
+        return;
+    }
 
-    const timestampSpan = document.createElement('span');
-    timestampSpan.className = 'message-timestamp';
-    timestampSpan.textContent = timestamp;
+    const messages = messagesContainer.querySelectorAll('.message[data-message-id]');
+    const latest = messages[messages.length - 1];
+    if (!latest || latest.dataset.messageId === lastReadSent) {
+        return;
+    }
 
-    messageHeader.appendChild(usernameSpan);
-    messageHeader.appendChild(timestampSpan);
+    lastReadSent = latest.dataset.messageId;
+    socket.emit('mark-read', { messageId: lastReadSent });
+}
 
-    const messageContent = document.createElement('div');
-    messageContent.className = 'message-content image';
+/**
+ * Mark the newest message read soon, once per MARK_READ_INTERVAL
+ * (a busy room would otherwise send mark-read for every message)
+ */
+function scheduleMarkRead() {
+    if (markReadTimeout) {
+        return;
+    }
+    markReadTimeout = setTimeout(() => {
+        markReadTimeout = null;
+        markLatestRead();
+    }, MARK_READ_INTERVAL);
+}
 
-    const image = document.createElement('img');
-    image.className = 'message-image';
-    image.src = imageUrl;
-    image.alt = 'Shared image';
-    
-    // Open image in new tab on click
-    image.addEventListener('click', () => {
-        window.open(imageUrl, '_blank');
+/**
+ * Update the "seen by" marker on every message in the chat
+ * A member has seen a message if their read position is at or after it
+ */
+function updateSeenMarkers() {
+    const messages = Array.from(messagesContainer.querySelectorAll('.message[data-message-id]'));
+    const positions = {};
+    messages.forEach((messageDiv, index) => {
+        positions[messageDiv.dataset.messageId] = index;
     });
 
-    messageContent.appendChild(image);
-
-    messageDiv.appendChild(messageHeader);
-    messageDiv.appendChild(messageContent);
+    messages.forEach((messageDiv, index) => {
+        const seenSpan = messageDiv.querySelector('.message-seen');
+        if (!seenSpan) {
+            return;
+        }
 
-    messagesContainer.appendChild(messageDiv);
+        const seenBy = Object.keys(readReceipts).filter(username =>
+            username !== messageDiv.dataset.username &&
+            positions[readReceipts[username]] >= index
+        );
 
-    // Scroll to bottom
-    scrollToBottom();
+        seenSpan.textContent = `👁 Seen by ${seenBy.length}`;
+        seenSpan.title = seenBy.join(', ');
+        seenSpan.classList.toggle('hidden', seenBy.length === 0);
+    });
 }
 
 /**
- * Display a system message (join/leave notifications)
+ * Handle sending a reply from the thread panel
  */
-function displaySystemMessage(message) {
-    const systemDiv = document.createElement('div');
-    systemDiv.className = 'system-message';
-    systemDiv.textContent = message;
+function handleSendThreadReply() {
+    const message = threadInput.value.trim();
 
-    messagesContainer.appendChild(systemDiv);
+    if (!message || !openThreadId) {
+        return;
+    }
 
-    // Scroll to bottom
-    scrollToBottom();
-}
+    socket.emit('send-message', { message, replyTo: openThreadId });
 
-/**
- * Scroll messages container to bottom
- */
-function scrollToBottom() {
-    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    threadInput.value = '';
+    autoResizeTextarea(threadInput);
+    threadInput.focus();
 }
 
-// ==================== SOCKET.IO EVENT HANDLERS ====================
-
 /**
- * When successfully joined a room
- * Show chat screen and update UI
+ * Handle sending a direct message to the member whose conversation is open
  */
-socket.on('joined-room', (data) => {
-    // Initialize call elements if not already done
-    if (!usersList) {
-        initCallElements();
-        setupCallEventListeners();
-    }
+function handleSendDirectMessage() {
+    const message = dmInput.value.trim();
 
-    // Update UI with room info
-    currentRoomId.textContent = data.roomId;
-    currentUsername.textContent = data.username;
-
-    // Hide join screen, show chat screen
-    joinScreen.classList.add('hidden');
-    chatScreen.classList.remove('hidden');
-
-    // Focus on message input
-    messageInput.focus();
+    if (!message || !openDmUserId) {
+        return;
+    }
 
-    // Display welcome message
-    displaySystemMessage(`Welcome to room "${data.roomId}"! Start chatting...`);
+    socket.emit('send-direct-message', { toUserId: openDmUserId, message });
 
-    // Request users list
-    socket.emit('get-room-users');
-});
+    dmInput.value = '';
+    autoResizeTextarea(dmInput);
+    dmInput.focus();
+}
 
 /**
- * When there's an error joining room
+ * Resize a textarea to fit its content (up to the max-height set in CSS)
  */
-socket.on('join-error', (data) => {
-    showJoinError(data.message);
-});
+function autoResizeTextarea(textarea) {
+    textarea.style.height = 'auto';
+    textarea.style.height = textarea.scrollHeight + 'px';
+}
 
 /**
- * When a user joins the room (notification for others)
+ * Start replying to a message
+ * Shows the reply bar above the message input
  */
-socket.on('user-joined', (data) => {
-    displaySystemMessage(data.message);
-});
+function startReply(data) {
+    replyingTo = data;
+    const preview = getMessagePreview(data);
+    replyBarText.textContent = `Replying to ${data.username}: ${preview}`;
+    replyBar.classList.remove('hidden');
+    messageInput.focus();
+}
 
 /**
- * When a user leaves the room (notification)
+ * Stop replying and hide the reply bar
  */
-socket.on('user-left', (data) => {
-    displaySystemMessage(data.message);
-});
+function cancelReply() {
+    replyingTo = null;
+    replyBar.classList.add('hidden');
+    replyBarText.textContent = '';
+}
 
 /**
- * When receiving a text message
+ * Load the allowed file types and size limits from the server
+ * Also limits the file picker to those types
  */
-socket.on('receive-message', (data) => {
-    displayMessage(data.username, data.message, data.timestamp);
-});
+async function loadFileTypes() {
+    if (allowedFileTypes) {
+        return;
+    }
 
-/**
- * When receiving an image message
- */
-socket.on('receive-image', (data) => {
-    displayImage(data.username, data.imageUrl, data.timestamp);
-});
+    try {
+        const response = await fetch('/api/file-types');
+        if (!response.ok) {
+            throw new Error('Failed to load file types');
+        }
+
+        const data = await response.json();
+        allowedFileTypes = data.fileTypes;
+        fileInput.accept = allowedFileTypes.map(type => type.extensions.join(',')).join(',');
+    } catch (error) {
+        console.error('Error loading file types:', error);
+    }
+}
 
 /**
- * When there's a general error
+ * Find the allowed type for a file name (null if not allowed)
  */
-socket.on('error', (data) => {
-    alert(data.message);
-});
+function findFileType(filename) {
+    const dot = filename.lastIndexOf('.');
+    const ext = dot === -1 ? '' : filename.slice(dot).toLowerCase();
+    return (allowedFileTypes || []).find(type => type.extensions.includes(ext)) || null;
+}
 
 /**
- * When socket connection is established
+ * Format a file size for display (e.g. "1.5 MB")
  */
-socket.on('connect', () => {
-    console.log('Connected to server');
-});
+function formatFileSize(bytes) {
+    if (bytes >= 1024 * 1024) {
+        return `${Math.round(bytes / (1024 * 1024) * 10) / 10} MB`;
+    }
+    if (bytes >= 1024) {
+        return `${Math.round(bytes / 1024)} KB`;
+    }
+    return `${bytes} B`;
+}
 
 /**
- * When socket connection is lost
+ * Handle file upload
+ * Uploads the file to the server, then shares it via socket
+ * Images are sent as image messages, everything else as file messages
  */
-socket.on('disconnect', () => {
-    console.log('Disconnected from server');
-});
+async function handleFileUpload(event) {
+    const file = event.target.files[0];
 
-// ==================== WEBCALL/CALLING FUNCTIONALITY ====================
+    // Check if file was selected
+    if (!file) {
+        return;
+    }
 
-// DOM Elements for calling (will be initialized when needed)
-let usersList, userCount, incomingCallModal, incomingCallerName, incomingCallType, incomingCallTypeText;
-let acceptCallBtn, rejectCallBtn, callInterface, localVideo, remoteVideo, remoteAudio;
-let remoteAudioIndicator, remoteUsernameDisplay, toggleMuteBtn, toggleVideoBtn;
-let toggleScreenShareBtn, endCallBtn, callStatusText, callDuration, toggleLocalVideoBtn, localMediaContainer;
+    await loadFileTypes();
 
-// Initialize call-related DOM elements
-function initCallElements() {
-    usersList = document.getElementById('users-list');
-    userCount = document.getElementById('user-count');
-    incomingCallModal = document.getElementById('incoming-call-modal');
-    incomingCallerName = document.getElementById('incoming-caller-name');
-    incomingCallType = document.getElementById('incoming-call-type');
-    incomingCallTypeText = document.getElementById('incoming-call-type-text');
-    acceptCallBtn = document.getElementById('accept-call-btn');
-    rejectCallBtn = document.getElementById('reject-call-btn');
-    callInterface = document.getElementById('call-interface');
-    localVideo = document.getElementById('local-video');
-    remoteVideo = document.getElementById('remote-video');
-    remoteAudio = document.getElementById('remote-audio');
-    remoteAudioIndicator = document.getElementById('remote-audio-indicator');
-    remoteUsernameDisplay = document.getElementById('remote-username-display');
-    toggleMuteBtn = document.getElementById('toggle-mute');
-    toggleVideoBtn = document.getElementById('toggle-video');
-    toggleScreenShareBtn = document.getElementById('toggle-screen-share');
-    endCallBtn = document.getElementById('end-call-btn');
-    callStatusText = document.getElementById('call-status-text');
-    callDuration = document.getElementById('call-duration');
-    toggleLocalVideoBtn = document.getElementById('toggle-local-video');
-    localMediaContainer = document.getElementById('local-media-container');
-}
+    // Validate file type and size (client-side check, the server checks again)
+    const fileType = findFileType(file.name);
+    if (allowedFileTypes && !fileType) {
+        alert('This file type is not allowed!');
+        fileInput.value = '';
+        return;
+    }
 
-// WebRTC variables
-let peerConnection = null;
-let localStream = null;
-let remoteStream = null;
-let currentCall = {
-    targetSocketId: null,
-    targetUsername: null,
-    callType: null, // 'audio' or 'video'
-    isIncoming: false
-};
-let callStartTime = null;
-let callDurationInterval = null;
-let roomUsers = [];
+    if (fileType && file.size > fileType.maxSize) {
+        alert(`This file is too large (at most ${formatFileSize(fileType.maxSize)})!`);
+        fileInput.value = '';
+        return;
+    }
 
-// WebRTC Configuration (using Google's public STUN server)
-const rtcConfiguration = {
-    iceServers: [
-        { urls: 'stun:stun.l.google.com:19302' },
-        { urls: 'stun:stun1.l.google.com:19302' }
-    ]
-};
+    // Show loading overlay
+    loadingOverlay.classList.remove('hidden');
 
-// ==================== USER LIST MANAGEMENT ====================
+    try {
+        // Create FormData for file upload
+        const formData = new FormData();
+        formData.append('file', file);
+
+        // Upload file to server (it belongs to the room we are in)
+        const response = await fetch(`/upload?roomId=${encodeURIComponent(currentUser.roomId)}`, {
+            method: 'POST',
+            body: formData
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Upload failed');
+        }
+
+        // Share the upload with the room via socket (by its upload ID)
+        if (data.category === 'image') {
+            socket.emit('send-image', { uploadId: data.uploadId });
+        } else {
+            socket.emit('send-file', { uploadId: data.uploadId });
+        }
+    } catch (error) {
+        console.error('Error uploading file:', error);
+        alert(`Failed to upload file: ${error.message}`);
+    } finally {
+        // Clear file input and hide loading overlay
+        fileInput.value = '';
+        loadingOverlay.classList.add('hidden');
+    }
+}
 
 /**
- * Update the users list in the sidebar
+ * Start recording a voice message (while the 🎤 button is held)
+ * Also measures the loudness every 100 ms for the waveform
  */
-function updateUsersList(users) {
-    if (!usersList || !userCount) {
-        initCallElements();
+async function startVoiceRecording() {
+    if (voiceRecording || !currentUser.roomId) {
+        return;
     }
-    
-    if (!usersList || !userCount) {
-        console.error('Users list elements not found');
+
+    if (!window.MediaRecorder || !navigator.mediaDevices) {
+        alert('Your browser cannot record voice messages.');
         return;
     }
 
-    roomUsers = users;
-    usersList.innerHTML = '';
-    userCount.textContent = users.length + 1; // +1 for current user
+    const format = VOICE_FORMATS.find(f => MediaRecorder.isTypeSupported(f.mimeType));
+    if (!format) {
+        alert('Your browser cannot record voice messages in a supported format.');
+        return;
+    }
 
-    if (users.length === 0) {
-        const emptyMsg = document.createElement('div');
-        emptyMsg.className = 'user-item';
-        emptyMsg.style.color = '#8e9297';
-        emptyMsg.style.fontSize = '0.85em';
-        emptyMsg.textContent = 'No other users in room';
-        usersList.appendChild(emptyMsg);
+    // Set straight away so releasing during the permission prompt cancels
+    const recording = { chunks: [], levels: [], format: format, done: false };
+    voiceRecording = recording;
+
+    try {
+        recording.stream = await navigator.mediaDevices.getUserMedia({ audio: audioConstraints() });
+    } catch (error) {
+        console.error('Error accessing microphone:', error);
+        voiceRecording = null;
+        alert('Could not access your microphone. Please check permissions.');
         return;
     }
 
-    users.forEach(user => {
-        const userItem = document.createElement('div');
-        userItem.className = 'user-item';
-        userItem.dataset.socketId = user.socketId;
+    // Released (or cancelled) before the microphone was ready
+    if (recording.done) {
+        recording.stream.getTracks().forEach(track => track.stop());
+        return;
+    }
 
-        const userName = document.createElement('div');
-        userName.className = 'user-item-name';
-        
-        const avatar = document.createElement('div');
-        avatar.className = 'user-avatar';
-        avatar.textContent = user.username.charAt(0).toUpperCase();
-        
-        const nameSpan = document.createElement('span');
-        nameSpan.textContent = user.username;
+    recording.recorder = new MediaRecorder(recording.stream, { mimeType: format.mimeType });
+    recording.recorder.addEventListener('dataavailable', (e) => {
+        if (e.data.size > 0) {
+            recording.chunks.push(e.data);
+        }
+    });
+    recording.recorder.start();
+    recording.startedAt = Date.now();
 
-        userName.appendChild(avatar);
-        userName.appendChild(nameSpan);
+    // Loudness for the waveform (optional: recording works without it)
+    try {
+        recording.audioContext = new AudioContext();
+        recording.analyser = recording.audioContext.createAnalyser();
+        recording.analyser.fftSize = 512;
+        recording.audioContext.createMediaStreamSource(recording.stream).connect(recording.analyser);
+    } catch (error) {
+        console.warn('Waveform not available:', error);
+    }
 
-        const callButtons = document.createElement('div');
-        callButtons.className = 'user-call-buttons';
+    recording.timer = setInterval(() => {
+        const seconds = (Date.now() - recording.startedAt) / 1000;
+        voiceRecordingTime.textContent = formatDuration(seconds);
+        recording.levels.push(measureLevel(recording.analyser));
 
-        const audioBtn = document.createElement('button');
-        audioBtn.className = 'user-call-btn audio-btn';
-        audioBtn.title = 'Voice Call';
-        audioBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor"><path d="M12 14c1.66 0 2.99-1.34 2.99-3L15 5c0-1.66-1.34-3-3-3S9 3.34 9 5v6c0 1.66 1.34 3 3 3zm5.3-3c0 3-2.54 5.1-5.3 5.1S6.7 14 6.7 11H5c0 3.41 2.72 6.23 6 6.72V21h2v-3.28c3.28-.48 6-3.3 6-6.72h-1.7z"/></svg>';
-        audioBtn.onclick = () => initiateCall(user.socketId, user.username, 'audio');
+        if (seconds >= MAX_VOICE_DURATION) {
+            stopVoiceRecording(true);
+        }
+    }, 100);
 
-        const videoBtn = document.createElement('button');
-        videoBtn.className = 'user-call-btn video-btn';
-        videoBtn.title = 'Video Call';
-        videoBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor"><path d="M17 10.5V7c0-.55-.45-1-1-1H4c-.55 0-1 .45-1 1v10c0 .55.45 1 1 1h12c.55 0 1-.45 1-1v-3.5l4 4v-11l-4 4z"/></svg>';
-        videoBtn.onclick = () => initiateCall(user.socketId, user.username, 'video');
+    voiceRecordingTime.textContent = formatDuration(0);
+    voiceRecordingBar.classList.remove('hidden');
+    voiceBtn.classList.add('recording');
+}
 
-        callButtons.appendChild(audioBtn);
-        callButtons.appendChild(videoBtn);
+/**
+ * Loudness of the microphone right now (0-1)
+ */
+function measureLevel(analyser) {
+    if (!analyser) {
+        return 0;
+    }
+    const samples = new Uint8Array(analyser.fftSize);
+    analyser.getByteTimeDomainData(samples);
 
-        userItem.appendChild(userName);
-        userItem.appendChild(callButtons);
-        usersList.appendChild(userItem);
+    let sum = 0;
+    samples.forEach(sample => {
+        const value = (sample - 128) / 128;
+        sum += value * value;
     });
+    return Math.sqrt(sum / samples.length);
 }
 
-// ==================== CALL INITIATION ====================
+/**
+ * Stop recording and send the voice message, or throw it away
+ */
+function stopVoiceRecording(send) {
+    const recording = voiceRecording;
+    if (!recording) {
+        return;
+    }
+    voiceRecording = null;
+    recording.done = true;
+
+    voiceRecordingBar.classList.add('hidden');
+    voiceBtn.classList.remove('recording');
+
+    // Still waiting for the microphone: startVoiceRecording() cleans up
+    if (!recording.recorder) {
+        return;
+    }
+
+    clearInterval(recording.timer);
+    if (recording.audioContext) {
+        recording.audioContext.close();
+    }
+
+    const duration = (Date.now() - recording.startedAt) / 1000;
+    if (send && duration < MIN_VOICE_DURATION) {
+        displaySystemMessage('Hold the 🎤 button while you speak to record a voice message');
+        send = false;
+    }
+
+    recording.recorder.addEventListener('stop', () => {
+        recording.stream.getTracks().forEach(track => track.stop());
+        if (send) {
+            const blob = new Blob(recording.chunks, { type: recording.format.mimeType });
+            uploadVoiceMessage(blob, recording.format, duration, buildWaveform(recording.levels));
+        }
+    });
+    recording.recorder.stop();
+}
 
 /**
- * Initiate a call with another user
+ * Squeeze loudness samples into waveform bars (heights 0-100)
  */
-async function initiateCall(targetSocketId, targetUsername, callType) {
+function buildWaveform(levels) {
+    if (levels.length === 0) {
+        return [];
+    }
+
+    const bars = [];
+    const count = Math.min(VOICE_WAVEFORM_BARS, levels.length);
+    for (let i = 0; i < count; i++) {
+        const start = Math.floor(i * levels.length / count);
+        const end = Math.floor((i + 1) * levels.length / count);
+        bars.push(Math.max(...levels.slice(start, end)));
+    }
+
+    // Scale so the loudest bar is full height
+    const loudest = Math.max(...bars) || 1;
+    return bars.map(level => Math.round(level / loudest * 100));
+}
+
+/**
+ * Upload a recorded voice message, then share it via socket
+ */
+async function uploadVoiceMessage(blob, format, duration, waveform) {
     try {
-        // Request media permissions
-        const constraints = {
-            audio: true,
-            video: callType === 'video' ? true : false
-        };
+        const formData = new FormData();
+        formData.append('duration', duration.toFixed(1));
+        formData.append('waveform', JSON.stringify(waveform));
+        formData.append('file', blob, `voice-message${format.extension}`);
 
-        localStream = await navigator.mediaDevices.getUserMedia(constraints);
-        
-        // Store call info
-        currentCall = {
-            targetSocketId: targetSocketId,
-            targetUsername: targetUsername,
-            callType: callType,
-            isIncoming: false
+        const response = await fetch(`/upload?roomId=${encodeURIComponent(currentUser.roomId)}&voice=1`, {
+            method: 'POST',
+            body: formData
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Upload failed');
+        }
+
+        socket.emit('send-voice', { uploadId: data.uploadId });
+    } catch (error) {
+        console.error('Error uploading voice message:', error);
+        alert(`Failed to send voice message: ${error.message}`);
+    }
+}
+
+/**
+ * Format a number of seconds as "m:ss"
+ */
+function formatDuration(seconds) {
+    const total = Math.floor(seconds);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Display a join error message
+ */
+function showJoinError(message) {
+    joinError.textContent = message;
+}
+
+/**
+ * Create the outer message element with its header (username, time, edited marker)
+ * Replies also get a quoted preview of the message they answer
+ */
+function createMessageElement(data) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message';
+    if (data.id) {
+        messageDiv.dataset.messageId = data.id;
+    }
+    messageDiv.dataset.username = data.username;
+
+    const messageHeader = document.createElement('div');
+    messageHeader.className = 'message-header';
+
+    const usernameSpan = document.createElement('span');
+    usernameSpan.className = 'message-username';
+    usernameSpan.textContent = data.username;
+
+    const timestampSpan = document.createElement('span');
+    timestampSpan.className = 'message-timestamp';
+    timestampSpan.textContent = data.timestamp;
+
+    const editedSpan = document.createElement('span');
+    editedSpan.className = 'message-edited';
+    editedSpan.textContent = '(edited)';
+    if (!data.edited || data.deleted) {
+        editedSpan.classList.add('hidden');
+    }
+
+    const seenSpan = document.createElement('span');
+    seenSpan.className = 'message-seen hidden';
+
+    messageHeader.appendChild(usernameSpan);
+    messageHeader.appendChild(timestampSpan);
+    messageHeader.appendChild(editedSpan);
+    messageHeader.appendChild(seenSpan);
+
+    if (data.id && !data.deleted) {
+        messageHeader.appendChild(createMessageActions(messageDiv, data));
+    }
+
+    messageDiv.appendChild(messageHeader);
+
+    // Quoted preview of the parent message (click to jump to it)
+    if (data.replyTo) {
+        const replyPreview = document.createElement('div');
+        replyPreview.className = 'message-reply-preview';
+        replyPreview.dataset.replyTo = data.replyTo;
+        setReplyPreviewText(replyPreview, data.replyPreview);
+        replyPreview.addEventListener('click', () => scrollToMessage(data.replyTo));
+        messageDiv.appendChild(replyPreview);
+    }
+
+    return messageDiv;
+}
+
+/**
+ * Create the hover buttons for a message
+ * Everyone can reply; only the author can edit or delete
+ */
+function createMessageActions(messageDiv, data) {
+    const actions = document.createElement('div');
+    actions.className = 'message-actions';
+
+    const replyBtn = document.createElement('button');
+    replyBtn.className = 'message-action-btn';
+    replyBtn.title = 'Reply';
+    replyBtn.textContent = '↩️';
+    replyBtn.onclick = () => startReply(data);
+    actions.appendChild(replyBtn);
+
+    const reactBtn = document.createElement('button');
+    reactBtn.className = 'message-action-btn';
+    reactBtn.title = 'Add Reaction';
+    reactBtn.textContent = '😀';
+    reactBtn.onclick = () => toggleReactionPicker(actions, data.id);
+    actions.appendChild(reactBtn);
+
+    if (data.userId !== currentUser.userId) {
+        return actions;
+    }
+
+    // Only text can be edited
+    if (data.type === 'text') {
+        const editBtn = document.createElement('button');
+        editBtn.className = 'message-action-btn';
+        editBtn.title = 'Edit';
+        editBtn.textContent = '✏️';
+        editBtn.onclick = () => startEditingMessage(messageDiv);
+        actions.appendChild(editBtn);
+    }
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'message-action-btn';
+    deleteBtn.title = 'Delete';
+    deleteBtn.textContent = '🗑️';
+    deleteBtn.onclick = () => {
+        if (confirm('Delete this message?')) {
+            socket.emit('delete-message', { messageId: data.id });
+        }
+    };
+    actions.appendChild(deleteBtn);
+
+    return actions;
+}
+
+/**
+ * Fill in the quoted preview text of a reply
+ */
+function setReplyPreviewText(replyPreview, preview) {
+    if (!preview || preview.deleted) {
+        replyPreview.textContent = 'Original message was deleted';
+        replyPreview.classList.add('deleted');
+    } else {
+        replyPreview.dataset.username = preview.username;
+        replyPreview.textContent = `${preview.username}: ${preview.message}`;
+    }
+}
+
+/**
+ * Show or hide the quick emoji picker next to a message's buttons
+ */
+function toggleReactionPicker(actions, messageId) {
+    const existing = actions.querySelector('.reaction-picker');
+    if (existing) {
+        existing.remove();
+        return;
+    }
+
+    const picker = document.createElement('div');
+    picker.className = 'reaction-picker';
+
+    QUICK_REACTIONS.forEach(emoji => {
+        const emojiBtn = document.createElement('button');
+        emojiBtn.className = 'reaction-picker-btn';
+        emojiBtn.textContent = emoji;
+        emojiBtn.onclick = () => {
+            toggleReaction(messageId, emoji);
+            picker.remove();
         };
+        picker.appendChild(emojiBtn);
+    });
 
-        // Setup local video IMMEDIATELY
-        if (callType === 'video' && localVideo) {
-            localVideo.srcObject = localStream;
-            localVideo.style.display = 'block';
-            localVideo.muted = true; // Mute local video to avoid feedback
+    actions.appendChild(picker);
+}
+
+/**
+ * Add our reaction, or remove it if we already reacted with this emoji
+ */
+function toggleReaction(messageId, emoji) {
+    const messageDiv = findMessageElements(messageId)[0];
+    const chip = messageDiv && Array.from(messageDiv.querySelectorAll('.reaction-chip'))
+        .find(el => el.dataset.emoji === emoji);
+
+    if (chip && chip.classList.contains('mine')) {
+        socket.emit('remove-reaction', { messageId, emoji });
+    } else {
+        socket.emit('add-reaction', { messageId, emoji });
+    }
+}
+
+/**
+ * Create the reaction bar shown under a message
+ */
+function createReactionBar(data) {
+    const reactionBar = document.createElement('div');
+    reactionBar.className = 'message-reactions';
+    renderReactions(reactionBar, data.id, data.reactions);
+    return reactionBar;
+}
+
+/**
+ * Fill a reaction bar with one chip per emoji
+ * Hovering a chip shows who reacted
+ * Format of reactions: { emoji: [{ userId, username }] }
+ */
+function renderReactions(reactionBar, messageId, reactions) {
+    reactionBar.innerHTML = '';
+
+    Object.keys(reactions || {}).forEach(emoji => {
+        const users = reactions[emoji];
+
+        const chip = document.createElement('button');
+        chip.className = 'reaction-chip';
+        chip.dataset.emoji = emoji;
+        chip.title = users.map(u => u.username).join(', ');
+        chip.textContent = `${emoji} ${users.length}`;
+        if (users.some(u => u.userId === currentUser.userId)) {
+            chip.classList.add('mine');
         }
+        chip.onclick = () => toggleReaction(messageId, emoji);
 
-        // Show call interface immediately (before call is accepted)
-        showCallInterface();
+        reactionBar.appendChild(chip);
+    });
+}
 
-        // Create peer connection
-        createPeerConnection(targetSocketId, true);
+/**
+ * Create the "N replies" link that opens the thread panel
+ * Hidden while a message has no replies
+ */
+function createThreadLink(data) {
+    const threadLink = document.createElement('button');
+    threadLink.className = 'message-thread-link';
+    threadLink.dataset.replyCount = data.replyCount || 0;
+    setThreadLinkText(threadLink);
+    threadLink.onclick = () => openThread(data.id);
+    return threadLink;
+}
 
-        // Send call request
-        socket.emit('call-user', {
-            targetSocketId: targetSocketId,
-            callType: callType
-        });
+function setThreadLinkText(threadLink) {
+    const count = parseInt(threadLink.dataset.replyCount, 10);
+    threadLink.textContent = count === 1 ? '💬 1 reply' : `💬 ${count} replies`;
+    threadLink.classList.toggle('hidden', count === 0);
+}
 
-        if (callStatusText) {
-            callStatusText.textContent = 'Calling...';
-            callStatusText.style.color = '#faa61a';
+/**
+ * Create the placeholder shown in place of a deleted message
+ */
+function createDeletedContent() {
+    const messageContent = document.createElement('div');
+    messageContent.className = 'message-content text deleted';
+    messageContent.textContent = 'This message was deleted';
+    return messageContent;
+}
+
+/**
+ * Display a text message in the chat (or in the thread panel)
+ */
+function displayMessage(data, container = messagesContainer) {
+    const messageDiv = createMessageElement(data);
+
+    let messageContent;
+    if (data.deleted) {
+        messageContent = createDeletedContent();
+    } else {
+        messageContent = document.createElement('div');
+        messageContent.className = 'message-content text';
+        setMessageText(messageContent, data.message);
+
+        // "/me waves" is shown as "* username waves"
+        if (data.action) {
+            messageContent.classList.add('action');
+            messageContent.dataset.username = data.username;
         }
+    }
 
-    } catch (error) {
-        console.error('Error initiating call:', error);
-        alert('Failed to access camera/microphone. Please check permissions.');
-        endCall();
+    messageDiv.appendChild(messageContent);
+    if (data.id) {
+        messageDiv.appendChild(createReactionBar(data));
+        messageDiv.appendChild(createThreadLink(data));
     }
+
+    container.appendChild(messageDiv);
+
+    // Scroll to bottom
+    scrollToBottom(container);
 }
 
 /**
- * Create WebRTC peer connection
+ * Display an image message in the chat (or in the thread panel)
  */
-function createPeerConnection(targetSocketId, isCaller) {
-    peerConnection = new RTCPeerConnection(rtcConfiguration);
+function displayImage(data, container = messagesContainer) {
+    const messageDiv = createMessageElement(data);
+
+    let messageContent;
+    if (data.deleted) {
+        messageContent = createDeletedContent();
+    } else {
+        messageContent = document.createElement('div');
+        messageContent.className = 'message-content image';
+
+        // Show the small thumbnail; the original is only loaded when opened.
+        // Width/height reserve the right space before the thumbnail arrives.
+        const image = document.createElement('img');
+        image.className = 'message-image';
+        image.src = data.thumbnailUrl || data.imageUrl;
+        image.alt = 'Shared image';
+        image.loading = 'lazy';
+        if (data.width && data.height) {
+            image.width = data.width;
+            image.height = data.height;
+        }
+        
+        // Open the original image in new tab on click
+        image.addEventListener('click', () => {
+            window.open(data.imageUrl, '_blank');
+        });
 
-    // Add local stream tracks
-    if (localStream) {
-        localStream.getTracks().forEach(track => {
-            peerConnection.addTrack(track, localStream);
+        messageContent.appendChild(image);
+    }
+
+    messageDiv.appendChild(messageContent);
+    if (data.id) {
+        messageDiv.appendChild(createReactionBar(data));
+        messageDiv.appendChild(createThreadLink(data));
+    }
+
+    container.appendChild(messageDiv);
+
+    // Scroll to bottom
+    scrollToBottom(container);
+}
+
+/**
+ * Display a file message in the chat (or in the thread panel)
+ * GIFs are shown inline, video and audio get a player, anything else a download card
+ */
+function displayFile(data, container = messagesContainer) {
+    const messageDiv = createMessageElement(data);
+
+    let messageContent;
+    if (data.deleted) {
+        messageContent = createDeletedContent();
+    } else if (data.mimeType === 'image/gif') {
+        messageContent = document.createElement('div');
+        messageContent.className = 'message-content image';
+
+        const image = document.createElement('img');
+        image.className = 'message-image';
+        image.src = data.fileUrl;
+        image.alt = data.fileName;
+        image.addEventListener('click', () => {
+            window.open(data.fileUrl, '_blank');
         });
+
+        messageContent.appendChild(image);
+    } else if (data.mimeType.startsWith('video/') || data.mimeType.startsWith('audio/')) {
+        messageContent = document.createElement('div');
+        messageContent.className = 'message-content media';
+
+        const player = document.createElement(data.mimeType.startsWith('video/') ? 'video' : 'audio');
+        player.className = 'message-player';
+        player.src = data.fileUrl;
+        player.controls = true;
+        player.preload = 'metadata';
+
+        const caption = document.createElement('div');
+        caption.className = 'file-card-meta';
+        caption.textContent = `${data.fileName} · ${formatFileSize(data.fileSize)}`;
+
+        messageContent.appendChild(player);
+        messageContent.appendChild(caption);
+    } else {
+        messageContent = createFileCard(data);
     }
 
-    // Handle remote stream - IMPORTANT: Handle each track individually
-    peerConnection.ontrack = (event) => {
-        console.log('Remote track received:', event.track.kind);
-        
-        // Get the stream from the event
-        if (event.streams && event.streams.length > 0) {
-            remoteStream = event.streams[0];
+    messageDiv.appendChild(messageContent);
+    if (data.id) {
+        messageDiv.appendChild(createReactionBar(data));
+        messageDiv.appendChild(createThreadLink(data));
+    }
+
+    container.appendChild(messageDiv);
+
+    // Scroll to bottom
+    scrollToBottom(container);
+}
+
+/**
+ * Display a voice message in the chat (or in the thread panel)
+ */
+function displayVoice(data, container = messagesContainer) {
+    const messageDiv = createMessageElement(data);
+
+    messageDiv.appendChild(data.deleted ? createDeletedContent() : createVoicePlayer(data));
+    if (data.id) {
+        messageDiv.appendChild(createReactionBar(data));
+        messageDiv.appendChild(createThreadLink(data));
+    }
+
+    container.appendChild(messageDiv);
+
+    // Scroll to bottom
+    scrollToBottom(container);
+}
+
+/**
+ * Build the player for a voice message: play button, waveform (click to seek),
+ * time and playback speed
+ */
+function createVoicePlayer(data) {
+    const player = document.createElement('div');
+    player.className = 'message-content voice-message';
+
+    const audio = document.createElement('audio');
+    audio.src = data.audioUrl;
+    audio.preload = 'metadata';
+
+    const playBtn = document.createElement('button');
+    playBtn.className = 'voice-play-btn';
+    playBtn.title = 'Play';
+    playBtn.textContent = '▶';
+
+    // Flat bars when the recording has no waveform
+    const waveform = document.createElement('div');
+    waveform.className = 'voice-waveform';
+    const heights = data.waveform && data.waveform.length ? data.waveform : new Array(VOICE_WAVEFORM_BARS).fill(30);
+    const bars = heights.map(height => {
+        const bar = document.createElement('span');
+        bar.className = 'voice-waveform-bar';
+        bar.style.height = `${Math.max(height, 8)}%`;
+        waveform.appendChild(bar);
+        return bar;
+    });
+
+    const time = document.createElement('span');
+    time.className = 'voice-time';
+    time.textContent = formatDuration(data.duration || 0);
+
+    const speedBtn = document.createElement('button');
+    speedBtn.className = 'voice-speed-btn';
+    speedBtn.title = 'Playback speed';
+    speedBtn.textContent = '1×';
+
+    // Recordings from some browsers don't know their length, so fall back to ours
+    const getDuration = () => (isFinite(audio.duration) && audio.duration > 0 ? audio.duration : data.duration) || 0;
+
+    playBtn.addEventListener('click', () => {
+        if (audio.paused) {
+            // Only one voice message plays at a time
+            document.querySelectorAll('.voice-message audio').forEach(other => {
+                if (other !== audio) {
+                    other.pause();
+                }
+            });
+            audio.play().catch(error => console.error('Error playing voice message:', error));
         } else {
-            // Create a new stream if not provided
-            if (!remoteStream) {
-                remoteStream = new MediaStream();
-            }
-            remoteStream.addTrack(event.track);
+            audio.pause();
         }
+    });
 
-        // Handle video track
-        if (event.track.kind === 'video') {
-            console.log('Remote video track received');
-            if (remoteVideo) {
-                // Remove any existing streams first
-                if (remoteVideo.srcObject) {
-                    remoteVideo.srcObject.getTracks().forEach(track => track.stop());
-                }
-                
-                // Set new stream
-                remoteVideo.srcObject = remoteStream;
-                remoteVideo.style.display = 'block';
-                remoteVideo.style.visibility = 'visible';
-                
-                // Force play
-                remoteVideo.play().catch(err => {
-                    console.error('Error playing remote video:', err);
-                    // Retry play after a short delay
-                    setTimeout(() => {
-                        remoteVideo.play().catch(e => console.error('Retry play failed:', e));
-                    }, 500);
+    waveform.addEventListener('click', (e) => {
+        const rect = waveform.getBoundingClientRect();
+        const duration = getDuration();
+        if (duration) {
+            audio.currentTime = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1) * duration;
+        }
+    });
+
+    speedBtn.addEventListener('click', () => {
+        const next = VOICE_SPEEDS[(VOICE_SPEEDS.indexOf(audio.playbackRate) + 1) % VOICE_SPEEDS.length];
+        audio.playbackRate = next;
+        speedBtn.textContent = `${next}×`;
+    });
+
+    audio.addEventListener('play', () => {
+        playBtn.textContent = '⏸';
+        playBtn.title = 'Pause';
+    });
+    audio.addEventListener('pause', () => {
+        playBtn.textContent = '▶';
+        playBtn.title = 'Play';
+    });
+    audio.addEventListener('timeupdate', () => {
+        const duration = getDuration();
+        const played = duration ? audio.currentTime / duration : 0;
+        bars.forEach((bar, i) => bar.classList.toggle('played', i < played * bars.length));
+        time.textContent = formatDuration(audio.currentTime > 0 ? audio.currentTime : duration);
+    });
+    audio.addEventListener('ended', () => {
+        bars.forEach(bar => bar.classList.remove('played'));
+        time.textContent = formatDuration(getDuration());
+    });
+
+    player.appendChild(playBtn);
+    player.appendChild(waveform);
+    player.appendChild(time);
+    player.appendChild(speedBtn);
+    player.appendChild(audio);
+    return player;
+}
+
+/**
+ * Build a download card for a file (icon, name, size and download link)
+ */
+function createFileCard(data) {
+    const card = document.createElement('div');
+    card.className = 'message-content file-card';
+
+    const icon = document.createElement('span');
+    icon.className = 'file-card-icon';
+    icon.textContent = data.mimeType === 'application/pdf' ? '📄'
+        : data.mimeType.startsWith('text/') || data.mimeType === 'application/json' ? '📝'
+        : '🗜️';
+
+    const details = document.createElement('div');
+    details.className = 'file-card-details';
+
+    const name = document.createElement('div');
+    name.className = 'file-card-name';
+    name.textContent = data.fileName;
+    name.title = data.fileName;
+
+    const meta = document.createElement('div');
+    meta.className = 'file-card-meta';
+    meta.textContent = formatFileSize(data.fileSize);
+
+    details.appendChild(name);
+    details.appendChild(meta);
+
+    const download = document.createElement('a');
+    download.className = 'file-card-download';
+    download.href = data.fileUrl;
+    download.download = data.fileName;
+    download.title = 'Download';
+    download.textContent = '⬇';
+
+    card.appendChild(icon);
+    card.appendChild(details);
+    card.appendChild(download);
+    return card;
+}
+
+/**
+ * Short text describing a message (for the reply bar)
+ */
+function getMessagePreview(data) {
+    if (data.type === 'image') {
+        return '📷 Image';
+    }
+    if (data.type === 'file') {
+        return `📎 ${data.fileName}`;
+    }
+    if (data.type === 'voice') {
+        return '🎤 Voice message';
+    }
+    return data.message;
+}
+
+/**
+ * Find every element showing a message (chat and thread panel)
+ */
+function findMessageElements(messageId) {
+    return document.querySelectorAll(`.message[data-message-id="${CSS.escape(messageId)}"]`);
+}
+
+/**
+ * Scroll the chat to a message and highlight it briefly
+ * Opens its thread instead if it is no longer loaded in the chat
+ */
+function scrollToMessage(messageId) {
+    const messageDiv = messagesContainer.querySelector(`.message[data-message-id="${CSS.escape(messageId)}"]`);
+    if (!messageDiv) {
+        openThread(messageId);
+        return;
+    }
+
+    messageDiv.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    messageDiv.classList.add('highlighted');
+    setTimeout(() => messageDiv.classList.remove('highlighted'), 2000);
+}
+
+/**
+ * Open the thread panel for a message
+ * The server answers with the message and all its replies
+ */
+function openThread(messageId) {
+    closeDirectMessages();
+    openThreadId = messageId;
+    threadMessages.innerHTML = '';
+    threadPanel.classList.remove('hidden');
+    socket.emit('get-thread', { messageId });
+}
+
+/**
+ * Close the thread panel
+ */
+function closeThread() {
+    openThreadId = null;
+    threadMessages.innerHTML = '';
+    threadInput.value = '';
+    threadPanel.classList.add('hidden');
+}
+
+/**
+ * Get (or start) the conversation with another member
+ */
+function getDirectConversation(userId, username) {
+    if (!directMessages[userId]) {
+        directMessages[userId] = { username, messages: [], unread: 0 };
+    }
+    return directMessages[userId];
+}
+
+/**
+ * Open the DM panel with one member
+ * Shows the conversation so far and clears its unread badge
+ */
+function openDirectMessages(userId, username) {
+    closeThread();
+
+    const conversation = getDirectConversation(userId, username);
+    conversation.unread = 0;
+    updateDirectMessageBadges();
+
+    openDmUserId = userId;
+    dmTitle.textContent = `@${conversation.username}`;
+    dmMessages.innerHTML = '';
+    conversation.messages.forEach(message => displayDirectMessage(message));
+
+    dmPanel.classList.remove('hidden');
+    dmInput.focus();
+}
+
+/**
+ * Close the DM panel
+ */
+function closeDirectMessages() {
+    openDmUserId = null;
+    dmMessages.innerHTML = '';
+    dmInput.value = '';
+    dmPanel.classList.add('hidden');
+}
+
+/**
+ * Display a direct message in the DM panel
+ */
+function displayDirectMessage(data) {
+    // No ID: direct messages have no reply/react/edit actions
+    const messageDiv = createMessageElement({
+        username: data.fromUsername,
+        timestamp: data.timestamp
+    });
+
+    const messageContent = document.createElement('div');
+    messageContent.className = 'message-content text';
+    setMessageText(messageContent, data.message);
+
+    messageDiv.appendChild(messageContent);
+    dmMessages.appendChild(messageDiv);
+    scrollToBottom(dmMessages);
+}
+
+/**
+ * Show the number of unread direct messages next to each member
+ */
+function updateDirectMessageBadges() {
+    if (!usersList) {
+        return;
+    }
+
+    usersList.querySelectorAll('.dm-badge').forEach(badge => {
+        const conversation = directMessages[badge.dataset.userId];
+        const unread = conversation ? conversation.unread : 0;
+        badge.textContent = unread > 9 ? '9+' : String(unread);
+        badge.classList.toggle('hidden', unread === 0);
+    });
+}
+
+/**
+ * Set the text of a message bubble, rendered as Markdown
+ * The raw text is kept so it can be edited later
+ */
+function setMessageText(messageContent, text) {
+    messageContent.dataset.raw = text;
+    messageContent.innerHTML = '';
+    messageContent.appendChild(renderMarkdown(text));
+}
+
+/**
+ * Replace a message's text with a text box so the author can edit it
+ * Enter saves, Shift+Enter adds a new line, Escape cancels
+ */
+function startEditingMessage(messageDiv) {
+    const messageContent = messageDiv.querySelector('.message-content');
+    if (!messageContent || messageDiv.querySelector('.message-edit-input')) {
+        return;
+    }
+
+    const editInput = document.createElement('textarea');
+    editInput.className = 'message-edit-input';
+    editInput.maxLength = MAX_MESSAGE_LENGTH;
+    editInput.value = messageContent.dataset.raw;
+
+    const finishEditing = () => {
+        editInput.remove();
+        messageContent.classList.remove('hidden');
+    };
+
+    editInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            const newText = editInput.value.trim();
+            if (newText && newText !== messageContent.dataset.raw) {
+                socket.emit('edit-message', {
+                    messageId: messageDiv.dataset.messageId,
+                    message: newText
                 });
-                
-                // Listen for track ended
-                event.track.onended = () => {
-                    console.log('Remote video track ended');
-                    if (remoteVideo) {
-                        remoteVideo.style.display = 'none';
-                    }
-                };
-            }
-            if (remoteAudioIndicator) {
-                remoteAudioIndicator.classList.add('hidden');
             }
+            finishEditing();
+        } else if (e.key === 'Escape') {
+            finishEditing();
         }
-        
-        // Handle audio track
-        if (event.track.kind === 'audio') {
-            console.log('Remote audio track received');
-            if (remoteAudio) {
-                remoteAudio.srcObject = remoteStream;
-                remoteAudio.play().catch(err => {
-                    console.error('Error playing remote audio:', err);
-                });
+    });
+    editInput.addEventListener('input', () => autoResizeTextarea(editInput));
+    editInput.addEventListener('blur', finishEditing);
+
+    messageContent.classList.add('hidden');
+    messageContent.after(editInput);
+    autoResizeTextarea(editInput);
+    editInput.focus();
+}
+
+/**
+ * Display a system message (join/leave notifications)
+ */
+function displaySystemMessage(message) {
+    const systemDiv = document.createElement('div');
+    systemDiv.className = 'system-message';
+    systemDiv.textContent = message;
+
+    messagesContainer.appendChild(systemDiv);
+
+    // Scroll to bottom
+    scrollToBottom();
+}
+
+/**
+ * Display a message from the room history
+ * Picks the right display function based on the message type
+ */
+function displayHistoryMessage(data, container = messagesContainer) {
+    if (data.type === 'image') {
+        displayImage(data, container);
+    } else if (data.type === 'file') {
+        displayFile(data, container);
+    } else if (data.type === 'voice') {
+        displayVoice(data, container);
+    } else if (data.type === 'system') {
+        displaySystemMessage(data.message);
+    } else {
+        displayMessage(data, container);
+    }
+}
+
+/**
+ * Scroll messages container to bottom
+ */
+function scrollToBottom(container = messagesContainer) {
+    container.scrollTop = container.scrollHeight;
+}
+
+// ==================== MARKDOWN ====================
+// A small, safe Markdown subset for chat messages:
+//   **bold**, *italic* or _italic_, `inline code`, ```fenced code blocks```,
+//   > block quotes, and http(s) links (opened in a new tab)
+// Everything is built with createElement/textContent, never innerHTML,
+// so message text can never inject HTML or scripts.
+
+// Inline tokens, tried left to right: code, bold, italic, link
+const INLINE_MARKDOWN_PATTERN = /`([^`\n]+)`|\*\*([^*\n]+?)\*\*|\*([^*\s][^*\n]*?)\*|(?<![\w])_([^_\n]+?)_(?![\w])|(https?:\/\/[^\s<>"]+)/;
+
+/**
+ * Render Markdown text into a DocumentFragment
+ */
+function renderMarkdown(text) {
+    const fragment = document.createDocumentFragment();
+    const lines = text.split('\n');
+    let paragraph = [];
+
+    // Write collected plain lines as one paragraph with line breaks
+    const flushParagraph = () => {
+        if (paragraph.length === 0) {
+            return;
+        }
+        const p = document.createElement('p');
+        paragraph.forEach((line, index) => {
+            if (index > 0) {
+                p.appendChild(document.createElement('br'));
             }
-            // For audio-only calls, show audio indicator
-            if (currentCall.callType === 'audio') {
-                if (remoteAudioIndicator) {
-                    remoteAudioIndicator.classList.remove('hidden');
-                }
-                if (remoteUsernameDisplay) {
-                    remoteUsernameDisplay.textContent = currentCall.targetUsername;
-                }
+            renderInlineMarkdown(line, p);
+        });
+        fragment.appendChild(p);
+        paragraph = [];
+    };
+
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (line.trim().startsWith('```')) {
+            // Fenced code block: everything up to the closing fence is literal
+            flushParagraph();
+            const codeLines = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith('```')) {
+                codeLines.push(lines[i]);
+                i++;
             }
+            i++; // skip closing fence
+
+            const pre = document.createElement('pre');
+            const code = document.createElement('code');
+            code.textContent = codeLines.join('\n');
+            pre.appendChild(code);
+            fragment.appendChild(pre);
+        } else if (line.startsWith('>')) {
+            // Block quote: consecutive "> " lines, rendered recursively
+            flushParagraph();
+            const quoteLines = [];
+            while (i < lines.length && lines[i].startsWith('>')) {
+                quoteLines.push(lines[i].replace(/^> ?/, ''));
+                i++;
+            }
+
+            const blockquote = document.createElement('blockquote');
+            blockquote.appendChild(renderMarkdown(quoteLines.join('\n')));
+            fragment.appendChild(blockquote);
+        } else {
+            paragraph.push(line);
+            i++;
+        }
+    }
+    flushParagraph();
+
+    return fragment;
+}
+
+/**
+ * Render inline Markdown (code, bold, italic, links) into a parent element
+ */
+function renderInlineMarkdown(text, parent) {
+    let rest = text;
+
+    while (rest) {
+        const match = INLINE_MARKDOWN_PATTERN.exec(rest);
+        if (!match) {
+            parent.appendChild(document.createTextNode(rest));
+            return;
         }
 
-        // Log when stream is ready
-        console.log('Remote stream tracks:', remoteStream.getTracks().map(t => t.kind));
+        if (match.index > 0) {
+            parent.appendChild(document.createTextNode(rest.slice(0, match.index)));
+        }
+        let consumed = match[0].length;
+
+        if (match[1] !== undefined) {
+            const code = document.createElement('code');
+            code.textContent = match[1];
+            parent.appendChild(code);
+        } else if (match[2] !== undefined) {
+            const strong = document.createElement('strong');
+            renderInlineMarkdown(match[2], strong);
+            parent.appendChild(strong);
+        } else if (match[3] !== undefined || match[4] !== undefined) {
+            const em = document.createElement('em');
+            renderInlineMarkdown(match[3] !== undefined ? match[3] : match[4], em);
+            parent.appendChild(em);
+        } else {
+            // Leave trailing punctuation out of the link ("see https://x.com.")
+            const url = match[5].replace(/[.,;:!?)\]'"]+$/, '');
+            consumed = url.length;
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.textContent = url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            parent.appendChild(link);
+        }
+
+        rest = rest.slice(match.index + consumed);
+    }
+}
+
+// ==================== SOCKET.IO EVENT HANDLERS ====================
+
+/**
+ * When successfully joined a room
+ * Show chat screen and update UI
+ */
+socket.on('joined-room', (data) => {
+    // Initialize call elements if not already done
+    if (!usersList) {
+        initCallElements();
+        setupCallEventListeners();
+    }
+
+    // The server tells us the name we joined with (from our account)
+    currentUser.userId = loggedInUser.id;
+    currentUser.username = data.username;
+    currentUser.role = data.room ? data.room.role : null;
+    setRoomTopic(data.room ? data.room.topic : '');
+
+    // Update UI with room info
+    currentRoomId.textContent = data.roomId;
+    currentUsername.textContent = data.username;
+
+    // Owners of invite-only rooms can invite people
+    inviteBtn.classList.toggle('hidden', !(data.room && data.room.isOwner && data.room.inviteOnly));
+
+    // Back after a dropped connection: the history is sent again
+    if (data.resumed) {
+        messagesContainer.innerHTML = '';
+    }
+
+    // Room passwords are not needed any more
+    roomPasswordInput.value = '';
+    roomPasswordGroup.classList.add('hidden');
+    newRoomPasswordInput.value = '';
+    newRoomInviteOnly.checked = false;
+    newRoomUnlisted.checked = false;
+
+    // Hide join screen, show chat screen (the call stays in front if we are in one)
+    joinScreen.classList.add('hidden');
+    if (callInterface.classList.contains('hidden')) {
+        chatScreen.classList.remove('hidden');
+    }
+
+    // Focus on message input
+    messageInput.focus();
+
+    // Limit the file picker to the types the server accepts
+    loadFileTypes();
+
+    // Replay recent messages sent before we joined
+    if (data.history) {
+        data.history.forEach(message => displayHistoryMessage(message));
+    }
+    markLatestRead();
+
+    // Display welcome message
+    if (data.resumed) {
+        displaySystemMessage('Reconnected');
+        resumeCallAfterReconnect();
+    } else {
+        displaySystemMessage(`Welcome to room "${data.roomId}"! Start chatting...`);
+    }
+
+    // Request users list
+    socket.emit('get-room-users');
+});
+
+/**
+ * When there's an error joining room
+ */
+socket.on('join-error', (data) => {
+    showJoinError(data.message);
+
+    // Ask for the room password when the room needs one
+    if (data.reason === 'password-required' || data.reason === 'wrong-password') {
+        roomPasswordGroup.classList.remove('hidden');
+        roomPasswordInput.select();
+        roomPasswordInput.focus();
+    }
+});
+
+/**
+ * When someone invites us to an invite-only room
+ */
+socket.on('room-invite', (data) => {
+    const message = `${data.fromUsername} invited you to room "${data.roomId}"`;
+
+    if (chatScreen.classList.contains('hidden')) {
+        // Still on the join screen: fill in the room so we can join right away
+        roomIdInput.value = data.roomId;
+        showJoinError(message);
+    } else {
+        displaySystemMessage(message);
+    }
+});
+
+/**
+ * When our invite was sent
+ */
+socket.on('room-invite-sent', (data) => {
+    displaySystemMessage(`Invited ${data.username} to this room`);
+});
+
+/**
+ * When a user joins the room (notification for others)
+ */
+socket.on('user-joined', (data) => {
+    displaySystemMessage(data.message);
+});
+
+/**
+ * When a user leaves the room (notification)
+ */
+socket.on('user-left', (data) => {
+    displaySystemMessage(data.message);
+});
+
+/**
+ * When a moderator mutes someone or changes a role (notification)
+ */
+socket.on('moderation-notice', (data) => {
+    displaySystemMessage(data.message);
+});
+
+/**
+ * When the room owner makes us a moderator or takes it away
+ */
+socket.on('room-role', (data) => {
+    currentUser.role = data.role;
+    updateUsersList(roomUsers);
+});
+
+/**
+ * The public room directory (on connecting, and whenever rooms fill or empty)
+ */
+socket.on('room-directory', (rooms) => {
+    publicRooms = rooms;
+    renderRoomDirectory();
+});
+
+/**
+ * The slash commands we may use (on joining, and when our role changes)
+ */
+socket.on('command-list', (commands) => {
+    availableCommands = commands;
+});
+
+/**
+ * Private reply to a slash command we ran
+ */
+socket.on('command-result', (data) => {
+    displaySystemMessage(data.message);
+});
+
+/**
+ * When a moderator changes the room topic
+ */
+socket.on('room-topic', (data) => {
+    setRoomTopic(data.topic);
+    displaySystemMessage(data.message);
+});
+
+/**
+ * When someone (maybe us, in another tab) changes their username with /nick
+ */
+socket.on('user-renamed', (data) => {
+    if (loggedInUser && data.userId === loggedInUser.id) {
+        loggedInUser.username = data.username;
+        sessionUsername.textContent = data.username;
+        if (currentUser.roomId) {
+            currentUser.username = data.username;
+            currentUsername.textContent = data.username;
+        }
+    }
+    if (!chatScreen.classList.contains('hidden')) {
+        displaySystemMessage(data.message);
+    }
+});
+
+/**
+ * When a moderator kicks or bans us from the room
+ */
+socket.on('kicked', (data) => {
+    handleLeaveRoom();
+    showJoinError(data.message);
+});
+
+/**
+ * When receiving a text message
+ */
+socket.on('receive-message', (data) => {
+    displayMessage(data);
+    scheduleMarkRead();
+
+    if (data.replyTo) {
+        // Bump the reply count shown under the parent message
+        findMessageElements(data.replyTo).forEach(parentDiv => {
+            const threadLink = parentDiv.querySelector('.message-thread-link');
+            if (threadLink) {
+                threadLink.dataset.replyCount = parseInt(threadLink.dataset.replyCount, 10) + 1;
+                setThreadLinkText(threadLink);
+            }
+        });
+
+        // Show it in the thread panel if that thread is open
+        if (openThreadId === data.replyTo) {
+            displayMessage(data, threadMessages);
+        }
+    }
+});
+
+/**
+ * When receiving an image message
+ */
+socket.on('receive-image', (data) => {
+    displayImage(data);
+    scheduleMarkRead();
+});
+
+/**
+ * When receiving a file message (GIF, video, audio or download)
+ */
+socket.on('receive-file', (data) => {
+    displayFile(data);
+    scheduleMarkRead();
+});
+
+/**
+ * When receiving a voice message
+ */
+socket.on('receive-voice', (data) => {
+    displayVoice(data);
+    scheduleMarkRead();
+});
+
+/**
+ * When another user starts or stops typing
+ * Entries expire on their own in case a typing-stop never arrives
+ */
+socket.on('user-typing', (data) => {
+    if (typingUsers[data.socketId]) {
+        clearTimeout(typingUsers[data.socketId].timeout);
+        delete typingUsers[data.socketId];
+    }
+
+    if (data.isTyping) {
+        typingUsers[data.socketId] = {
+            username: data.username,
+            timeout: setTimeout(() => {
+                delete typingUsers[data.socketId];
+                renderTypingIndicator();
+            }, TYPING_EXPIRY)
+        };
+    }
+
+    renderTypingIndicator();
+});
+
+/**
+ * When read positions of room members change
+ */
+socket.on('read-receipts', (data) => {
+    readReceipts = data;
+    updateSeenMarkers();
+});
+
+/**
+ * When a message was edited by its author
+ */
+socket.on('message-edited', (data) => {
+    findMessageElements(data.messageId).forEach(messageDiv => {
+        const messageContent = messageDiv.querySelector('.message-content');
+        if (messageContent) {
+            setMessageText(messageContent, data.message);
+        }
+        messageDiv.querySelector('.message-edited').classList.remove('hidden');
+    });
+
+    // Update quoted previews in replies to this message
+    document.querySelectorAll(`.message-reply-preview[data-reply-to="${CSS.escape(data.messageId)}"]`).forEach(replyPreview => {
+        setReplyPreviewText(replyPreview, {
+            username: replyPreview.dataset.username,
+            message: data.message.slice(0, 100)
+        });
+    });
+});
+
+/**
+ * When a message was deleted by its author
+ * Replace it with a tombstone so the conversation still makes sense
+ */
+socket.on('message-deleted', (data) => {
+    findMessageElements(data.messageId).forEach(messageDiv => {
+        messageDiv.querySelectorAll('.message-edit-input, .message-actions, .message-reactions').forEach(el => el.remove());
+        messageDiv.querySelector('.message-edited').classList.add('hidden');
+
+        const messageContent = messageDiv.querySelector('.message-content');
+        if (messageContent) {
+            messageContent.replaceWith(createDeletedContent());
+        }
+    });
+
+    // Update quoted previews in replies to this message
+    document.querySelectorAll(`.message-reply-preview[data-reply-to="${CSS.escape(data.messageId)}"]`).forEach(replyPreview => {
+        setReplyPreviewText(replyPreview, { deleted: true });
+    });
+
+    if (replyingTo && replyingTo.id === data.messageId) {
+        cancelReply();
+    }
+});
+
+/**
+ * When the reactions on a message change
+ */
+socket.on('message-reactions', (data) => {
+    findMessageElements(data.messageId).forEach(messageDiv => {
+        const reactionBar = messageDiv.querySelector('.message-reactions');
+        if (reactionBar) {
+            renderReactions(reactionBar, data.messageId, data.reactions);
+        }
+    });
+});
+
+/**
+ * When the server sends a thread (message + all its replies)
+ */
+socket.on('thread-messages', (data) => {
+    if (data.parent.id !== openThreadId) {
+        return;
+    }
+
+    threadMessages.innerHTML = '';
+    displayHistoryMessage(data.parent, threadMessages);
+
+    const divider = document.createElement('div');
+    divider.className = 'system-message';
+    divider.textContent = data.replies.length === 1 ? '1 reply' : `${data.replies.length} replies`;
+    threadMessages.appendChild(divider);
+
+    data.replies.forEach(message => displayHistoryMessage(message, threadMessages));
+});
+
+/**
+ * When a direct message is sent to us (or by us, from any of our tabs)
+ */
+socket.on('direct-message', (data) => {
+    const fromMe = data.fromUserId === loggedInUser.id;
+    const otherUserId = fromMe ? data.toUserId : data.fromUserId;
+    const otherUsername = fromMe ? data.toUsername : data.fromUsername;
+
+    const conversation = getDirectConversation(otherUserId, otherUsername);
+    conversation.messages.push(data);
+
+    if (openDmUserId === otherUserId) {
+        displayDirectMessage(data);
+    } else if (!fromMe) {
+        conversation.unread++;
+        updateDirectMessageBadges();
+    }
+});
+
+/**
+ * When there's a general error
+ */
+socket.on('error', (data) => {
+    alert(data.message);
+});
+
+/**
+ * When socket connection is established
+ */
+socket.on('connect', () => {
+    console.log('Connected to server');
+    currentSocketId = socket.id;
+
+    // Back after a dropped connection: rejoin the room we were in
+    if (droppedSocketId && currentUser.roomId) {
+        socket.emit('join-room', { roomId: currentUser.roomId, previousSocketId: droppedSocketId });
+    }
+    droppedSocketId = null;
+});
+
+/**
+ * When the server refuses the connection
+ * Usually our session expired (or the server restarted), so log in again
+ */
+socket.on('connect_error', (error) => {
+    console.error('Connection error:', error.message);
+
+    if (error.message === 'Not authenticated') {
+        setLoggedOut();
+        joinScreen.classList.remove('hidden');
+        chatScreen.classList.add('hidden');
+        showJoinError('Your session has expired. Please log in again.');
+    } else if (error.message === 'Too many requests') {
+        // Still blocked for flooding: try again once the block is over
+        const retryAfter = (error.data && error.data.retryAfter) || 60;
+        showJoinError(`Too many requests. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`);
+        socket.disconnect();
+        setTimeout(() => {
+            if (loggedInUser) {
+                socket.connect();
+            }
+        }, retryAfter * 1000);
+    }
+});
+
+/**
+ * When the server refuses an event because we are sending too fast
+ * After repeated flooding the server disconnects us for a while
+ */
+socket.on('rate-limited', (data) => {
+    if (data.disconnected) {
+        handleLeaveRoom();
+        socket.disconnect();
+        showJoinError(data.message);
+        setTimeout(() => {
+            if (loggedInUser) {
+                socket.connect();
+            }
+        }, data.retryAfter * 1000);
+        return;
+    }
+
+    if (chatScreen.classList.contains('hidden')) {
+        showJoinError(data.message);
+    } else {
+        displaySystemMessage(`⚠️ ${data.message}`);
+    }
+});
+
+/**
+ * When the server refuses an event because its data was invalid
+ * Call signalling can race with people leaving, so those are only logged
+ */
+socket.on('invalid-payload', (data) => {
+    if (/^(webrtc-|accept-call|reject-call|end-call)/.test(data.event)) {
+        console.warn(`Server refused ${data.event}: ${data.message}`);
+    } else if (chatScreen.classList.contains('hidden')) {
+        showJoinError(data.message);
+    } else {
+        displaySystemMessage(`⚠️ ${data.message}`);
+    }
+});
+
+/**
+ * When socket connection is lost
+ */
+socket.on('disconnect', (reason) => {
+    console.log('Disconnected from server:', reason);
+
+    // Leaving on purpose (or being thrown out) is not a dropped connection
+    if (reason !== 'io client disconnect' && reason !== 'io server disconnect' && currentUser.roomId) {
+        droppedSocketId = currentSocketId;
+        displaySystemMessage('Connection lost. Reconnecting...');
+        if ((roomCall.active || currentCall.targetSocketId) && callStatusText) {
+            callStatusText.textContent = 'Reconnecting…';
+            callStatusText.style.color = '#faa61a';
+        }
+    }
+});
+
+// ==================== WEBCALL/CALLING FUNCTIONALITY ====================
+
+// DOM Elements for calling (will be initialized when needed)
+let usersList, userCount, incomingCallModal, incomingCallerName, incomingCallType, incomingCallTypeText;
+let acceptCallBtn, rejectCallBtn, callInterface, localVideo, remoteVideo, remoteAudio;
+let remoteAudioIndicator, remoteUsernameDisplay, toggleMuteBtn, toggleVideoBtn;
+let toggleScreenShareBtn, endCallBtn, callStatusText, callDuration, toggleLocalVideoBtn, localMediaContainer;
+let videoGrid, joinRoomCallAudioBtn, joinRoomCallVideoBtn, roomCallCount;
+let toggleRecordingBtn, callRecordingIndicator;
+let toggleStatsBtn, callStatsOverlay, remoteQualityWarning, callDeviceSettingsBtn;
+
+// Initialize call-related DOM elements
+function initCallElements() {
+    usersList = document.getElementById('users-list');
+    userCount = document.getElementById('user-count');
+    incomingCallModal = document.getElementById('incoming-call-modal');
+    incomingCallerName = document.getElementById('incoming-caller-name');
+    incomingCallType = document.getElementById('incoming-call-type');
+    incomingCallTypeText = document.getElementById('incoming-call-type-text');
+    acceptCallBtn = document.getElementById('accept-call-btn');
+    rejectCallBtn = document.getElementById('reject-call-btn');
+    callInterface = document.getElementById('call-interface');
+    localVideo = document.getElementById('local-video');
+    remoteVideo = document.getElementById('remote-video');
+    remoteAudio = document.getElementById('remote-audio');
+    remoteAudioIndicator = document.getElementById('remote-audio-indicator');
+    remoteUsernameDisplay = document.getElementById('remote-username-display');
+    toggleMuteBtn = document.getElementById('toggle-mute');
+    toggleVideoBtn = document.getElementById('toggle-video');
+    toggleScreenShareBtn = document.getElementById('toggle-screen-share');
+    endCallBtn = document.getElementById('end-call-btn');
+    callStatusText = document.getElementById('call-status-text');
+    callDuration = document.getElementById('call-duration');
+    toggleLocalVideoBtn = document.getElementById('toggle-local-video');
+    localMediaContainer = document.getElementById('local-media-container');
+    videoGrid = document.getElementById('video-grid');
+    joinRoomCallAudioBtn = document.getElementById('join-room-call-audio');
+    joinRoomCallVideoBtn = document.getElementById('join-room-call-video');
+    roomCallCount = document.getElementById('room-call-count');
+    toggleRecordingBtn = document.getElementById('toggle-recording');
+    callRecordingIndicator = document.getElementById('call-recording-indicator');
+    toggleStatsBtn = document.getElementById('toggle-stats');
+    callStatsOverlay = document.getElementById('call-stats-overlay');
+    remoteQualityWarning = document.getElementById('remote-quality-warning');
+    callDeviceSettingsBtn = document.getElementById('call-device-settings');
+
+    // Play calls on the chosen speaker
+    applySpeaker(remoteAudio);
+    applySpeaker(remoteVideo);
+}
+
+// WebRTC variables
+let peerConnection = null;
+let localStream = null;
+let remoteStream = null;
+let currentCall = {
+    targetSocketId: null,
+    targetUsername: null,
+    callType: null, // 'audio' or 'video'
+    isIncoming: false
+};
+let callStartTime = null;
+let callDurationInterval = null;
+
+// Restarts ICE and gives up on the current 1:1 call when its connection drops
+let callReconnector = null;
+
+// When a call connection drops, wait this long before restarting ICE (it often
+// comes back by itself), and end the call if it isn't back within the grace period
+const ICE_RESTART_DELAY = 2000;
+const CALL_RECONNECT_GRACE = 20 * 1000;
+
+// Call quality statistics, read from getStats() while a call is connected
+// previous holds the last counters of each connection (to work out rates);
+// samples are kept for the summary sent to the server when the call ends.
+// Format: { timer, startedAt, roomCall, callType, previous: Map<pc, counters>, samples: [], connection, codec }
+let callStats = null;
+const CALL_STATS_INTERVAL = 2000;
+
+// Above these limits a connection gets a quality warning on its tile
+const CALL_QUALITY_LIMITS = {
+    rtt: 300,       // ms
+    jitter: 30,     // ms
+    packetLoss: 5   // %
+};
+
+// Recording of the current 1:1 call, made in this browser (null when not recording)
+// Format: { recorder, chunks, mimeType, audioContext, mix, localSource, drawTimer, startedAt }
+let callRecording = null;
+
+// Username of the other party while they record the call (null otherwise)
+let remoteRecordingBy = null;
+
+// Size of the recorded picture for video calls (the remote video, our own in a corner)
+const CALL_RECORDING_WIDTH = 1280;
+const CALL_RECORDING_HEIGHT = 720;
+let roomUsers = [];
+
+// Room-wide group call (mesh: one peer connection per other participant)
+// peers format: { socketId: { pc, username, stream, tile, pendingCandidates } }
+let roomCall = {
+    active: false,
+    callType: null,
+    peers: {}
+};
+
+// WebRTC Configuration
+// Loaded from the server (/api/rtc-config) before each call so it can include
+// TURN servers with short-lived credentials. Google's public STUN servers are
+// only used if the server cannot be reached.
+let rtcConfiguration = {
+    iceServers: [
+        { urls: 'stun:stun.l.google.com:19302' },
+        { urls: 'stun:stun1.l.google.com:19302' }
+    ]
+};
+let rtcConfigurationExpiresAt = 0;
+
+/**
+ * Fetch the ICE server configuration from the server
+ * Reuses the last one until half of its credential lifetime has passed
+ */
+async function loadRtcConfiguration() {
+    if (Date.now() < rtcConfigurationExpiresAt) {
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/rtc-config');
+        if (!response.ok) {
+            throw new Error('Failed to load RTC config');
+        }
+
+        const data = await response.json();
+        rtcConfiguration = { iceServers: data.iceServers };
+        rtcConfigurationExpiresAt = Date.now() + (data.ttl * 1000) / 2;
+    } catch (error) {
+        console.error('Error loading RTC config, using default STUN servers:', error);
+    }
+}
+
+// ==================== USER LIST MANAGEMENT ====================
+
+/**
+ * Update the users list in the sidebar
+ */
+function updateUsersList(users) {
+    if (!usersList || !userCount) {
+        initCallElements();
+    }
+    
+    if (!usersList || !userCount) {
+        console.error('Users list elements not found');
+        return;
+    }
+
+    roomUsers = users;
+    usersList.innerHTML = '';
+    userCount.textContent = users.length + 1; // +1 for current user
+
+    if (users.length === 0) {
+        const emptyMsg = document.createElement('div');
+        emptyMsg.className = 'user-item';
+        emptyMsg.style.color = '#8e9297';
+        emptyMsg.style.fontSize = '0.85em';
+        emptyMsg.textContent = 'No other users in room';
+        usersList.appendChild(emptyMsg);
+        return;
+    }
+
+    users.forEach(user => {
+        const userItem = document.createElement('div');
+        userItem.className = 'user-item';
+        userItem.dataset.socketId = user.socketId;
+
+        const userName = document.createElement('div');
+        userName.className = 'user-item-name';
+        
+        const avatar = document.createElement('div');
+        avatar.className = 'user-avatar';
+        avatar.textContent = user.username.charAt(0).toUpperCase();
+        
+        const nameSpan = document.createElement('span');
+        nameSpan.textContent = user.username;
+
+        userName.appendChild(avatar);
+        userName.appendChild(nameSpan);
+
+        // Owner and moderator badges
+        if (ROLE_BADGES[user.role]) {
+            const roleBadge = document.createElement('span');
+            roleBadge.className = `role-badge role-${user.role}`;
+            roleBadge.textContent = ROLE_BADGES[user.role].icon;
+            roleBadge.title = ROLE_BADGES[user.role].title;
+            userName.appendChild(roleBadge);
+        }
+
+        // Unread direct messages from this member
+        const dmBadge = document.createElement('span');
+        dmBadge.className = 'dm-badge hidden';
+        dmBadge.dataset.userId = user.userId;
+        userName.appendChild(dmBadge);
+
+        const callButtons = document.createElement('div');
+        callButtons.className = 'user-call-buttons';
+
+        const audioBtn = document.createElement('button');
+        audioBtn.className = 'user-call-btn audio-btn';
+        audioBtn.title = 'Voice Call';
+        audioBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor"><path d="M12 14c1.66 0 2.99-1.34 2.99-3L15 5c0-1.66-1.34-3-3-3S9 3.34 9 5v6c0 1.66 1.34 3 3 3zm5.3-3c0 3-2.54 5.1-5.3 5.1S6.7 14 6.7 11H5c0 3.41 2.72 6.23 6 6.72V21h2v-3.28c3.28-.48 6-3.3 6-6.72h-1.7z"/></svg>';
+        audioBtn.onclick = () => initiateCall(user.socketId, user.username, 'audio');
+
+        const videoBtn = document.createElement('button');
+        videoBtn.className = 'user-call-btn video-btn';
+        videoBtn.title = 'Video Call';
+        videoBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor"><path d="M17 10.5V7c0-.55-.45-1-1-1H4c-.55 0-1 .45-1 1v10c0 .55.45 1 1 1h12c.55 0 1-.45 1-1v-3.5l4 4v-11l-4 4z"/></svg>';
+        videoBtn.onclick = () => initiateCall(user.socketId, user.username, 'video');
+
+        // Direct messages (not with ourselves, e.g. from another tab)
+        if (user.userId !== currentUser.userId) {
+            const dmBtn = document.createElement('button');
+            dmBtn.className = 'user-call-btn dm-btn';
+            dmBtn.title = 'Direct Message';
+            dmBtn.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor"><path d="M20 2H4c-1.1 0-2 .9-2 2v18l4-4h14c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2z"/></svg>';
+            dmBtn.onclick = () => openDirectMessages(user.userId, user.username);
+            callButtons.appendChild(dmBtn);
+
+            userName.onclick = () => openDirectMessages(user.userId, user.username);
+        }
+
+        callButtons.appendChild(audioBtn);
+        callButtons.appendChild(videoBtn);
+
+        // Moderation menu (right-click, or the ⋯ button) for owners and moderators
+        if (canModerate(user)) {
+            const modBtn = document.createElement('button');
+            modBtn.className = 'user-call-btn mod-btn';
+            modBtn.title = 'Moderate';
+            modBtn.textContent = '⋯';
+            modBtn.onclick = (e) => {
+                e.stopPropagation();
+                const rect = modBtn.getBoundingClientRect();
+                showModerationMenu(user, rect.left, rect.bottom);
+            };
+            callButtons.appendChild(modBtn);
+
+            userItem.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                showModerationMenu(user, e.clientX, e.clientY);
+            });
+        }
+
+        userItem.appendChild(userName);
+        userItem.appendChild(callButtons);
+        usersList.appendChild(userItem);
+    });
+
+    updateDirectMessageBadges();
+}
+
+/**
+ * Show the room topic under the room name (hidden when there is none)
+ */
+function setRoomTopic(topic) {
+    roomTopic.textContent = topic || '';
+    roomTopic.title = topic || '';
+    roomTopic.classList.toggle('hidden', !topic);
+}
+
+/**
+ * Can we moderate this member? Owners can moderate everyone else,
+ * moderators only members without a role
+ */
+function canModerate(user) {
+    if (user.userId === currentUser.userId || user.role === 'owner') {
+        return false;
+    }
+    return currentUser.role === 'owner' || (currentUser.role === 'moderator' && !user.role);
+}
+
+/**
+ * Close the moderation menu, if open
+ */
+function closeModerationMenu() {
+    const existing = document.querySelector('.moderation-menu');
+    if (existing) {
+        existing.remove();
+    }
+}
+
+/**
+ * Show the moderation menu for a member at a screen position
+ */
+function showModerationMenu(user, x, y) {
+    closeModerationMenu();
+
+    const menu = document.createElement('div');
+    menu.className = 'moderation-menu';
+
+    const addItem = (label, onSelect, danger) => {
+        const item = document.createElement('button');
+        item.className = danger ? 'moderation-menu-item danger' : 'moderation-menu-item';
+        item.textContent = label;
+        item.onclick = () => {
+            closeModerationMenu();
+            onSelect();
+        };
+        menu.appendChild(item);
+    };
+
+    const title = document.createElement('div');
+    title.className = 'moderation-menu-title';
+    title.textContent = user.username;
+    menu.appendChild(title);
+
+    if (currentUser.role === 'owner') {
+        const isModerator = user.role === 'moderator';
+        addItem(isModerator ? 'Remove moderator' : 'Make moderator', () => {
+            socket.emit('set-moderator', { userId: user.userId, moderator: !isModerator });
+        });
+    }
+
+    MUTE_OPTIONS.forEach(option => {
+        addItem(option.label, () => {
+            socket.emit('mute-user', { userId: user.userId, minutes: option.minutes });
+        });
+    });
+    addItem('Unmute', () => socket.emit('mute-user', { userId: user.userId, minutes: 0 }));
+
+    addItem('Kick', () => {
+        if (confirm(`Kick ${user.username} from the room?`)) {
+            socket.emit('kick-user', { userId: user.userId });
+        }
+    }, true);
+    addItem('Ban', () => {
+        if (confirm(`Ban ${user.username} from the room?`)) {
+            socket.emit('ban-user', { userId: user.userId });
+        }
+    }, true);
+    addItem('Ban account and IP', () => {
+        if (confirm(`Ban ${user.username} and everyone on their network from the room?`)) {
+            socket.emit('ban-user', { userId: user.userId, byIp: true });
+        }
+    }, true);
+
+    document.body.appendChild(menu);
+
+    // Keep the menu on screen
+    const width = menu.offsetWidth;
+    const height = menu.offsetHeight;
+    menu.style.left = `${Math.min(x, window.innerWidth - width - 8)}px`;
+    menu.style.top = `${Math.min(y, window.innerHeight - height - 8)}px`;
+}
+
+// Any click outside the moderation menu closes it
+document.addEventListener('click', (e) => {
+    if (!e.target.closest('.moderation-menu')) {
+        closeModerationMenu();
+    }
+});
+
+// ==================== CALL INITIATION ====================
+
+/**
+ * Initiate a call with another user
+ */
+async function initiateCall(targetSocketId, targetUsername, callType) {
+    if (roomCall.active) {
+        alert('Leave the room call before starting a private call.');
+        return;
+    }
+
+    try {
+        // Request media permissions
+        const constraints = {
+            audio: audioConstraints(),
+            video: callType === 'video' ? videoConstraints() : false
+        };
+
+        localStream = await navigator.mediaDevices.getUserMedia(constraints);
+        await loadRtcConfiguration();
+        
+        // Store call info
+        currentCall = {
+            targetSocketId: targetSocketId,
+            targetUsername: targetUsername,
+            callType: callType,
+            isIncoming: false
+        };
+
+        // Setup local video IMMEDIATELY
+        if (callType === 'video' && localVideo) {
+            localVideo.srcObject = localStream;
+            localVideo.style.display = 'block';
+            localVideo.muted = true; // Mute local video to avoid feedback
+        }
+
+        // Show call interface immediately (before call is accepted)
+        showCallInterface();
+
+        // Create peer connection
+        createPeerConnection(true);
+
+        // Send call request
+        socket.emit('call-user', {
+            targetSocketId: targetSocketId,
+            callType: callType
+        });
+
+        if (callStatusText) {
+            callStatusText.textContent = 'Calling...';
+            callStatusText.style.color = '#faa61a';
+        }
+
+    } catch (error) {
+        console.error('Error initiating call:', error);
+        alert('Failed to access camera/microphone. Please check permissions.');
+        endCall();
+    }
+}
+
+/**
+ * Create WebRTC peer connection
+ * The caller sends its offer once the call is accepted (see sendCallOffer)
+ */
+function createPeerConnection(isCaller) {
+    peerConnection = new RTCPeerConnection(rtcConfiguration);
+
+    // Add local stream tracks
+    if (localStream) {
+        localStream.getTracks().forEach(track => {
+            peerConnection.addTrack(track, localStream);
+        });
+    }
+
+    // Handle remote stream - IMPORTANT: Handle each track individually
+    peerConnection.ontrack = (event) => {
+        console.log('Remote track received:', event.track.kind);
+        
+        // Get the stream from the event
+        if (event.streams && event.streams.length > 0) {
+            remoteStream = event.streams[0];
+        } else {
+            // Create a new stream if not provided
+            if (!remoteStream) {
+                remoteStream = new MediaStream();
+            }
+            remoteStream.addTrack(event.track);
+        }
+
+        // Handle video track
+        if (event.track.kind === 'video') {
+            console.log('Remote video track received');
+            if (remoteVideo) {
+                // Remove any existing streams first
+                if (remoteVideo.srcObject) {
+                    remoteVideo.srcObject.getTracks().forEach(track => track.stop());
+                }
+                
+                // Set new stream
+                remoteVideo.srcObject = remoteStream;
+                remoteVideo.style.display = 'block';
+                remoteVideo.style.visibility = 'visible';
+                
+                // Force play
+                remoteVideo.play().catch(err => {
+                    console.error('Error playing remote video:', err);
+                    // Retry play after a short delay
+                    setTimeout(() => {
+                        remoteVideo.play().catch(e => console.error('Retry play failed:', e));
+                    }, 500);
+                });
+                
+                // Listen for track ended
+                event.track.onended = () => {
+                    console.log('Remote video track ended');
+                    if (remoteVideo) {
+                        remoteVideo.style.display = 'none';
+                    }
+                };
+            }
+            if (remoteAudioIndicator) {
+                remoteAudioIndicator.classList.add('hidden');
+            }
+        }
+        
+        // Handle audio track
+        if (event.track.kind === 'audio') {
+            console.log('Remote audio track received');
+            if (remoteAudio) {
+                remoteAudio.srcObject = remoteStream;
+                remoteAudio.play().catch(err => {
+                    console.error('Error playing remote audio:', err);
+                });
+            }
+            // For audio-only calls, show audio indicator
+            if (currentCall.callType === 'audio') {
+                if (remoteAudioIndicator) {
+                    remoteAudioIndicator.classList.remove('hidden');
+                }
+                if (remoteUsernameDisplay) {
+                    remoteUsernameDisplay.textContent = currentCall.targetUsername;
+                }
+            }
+        }
+
+        // Log when stream is ready
+        console.log('Remote stream tracks:', remoteStream.getTracks().map(t => t.kind));
+    };
+
+    // Handle ICE candidates
+    // (the other party's socket ID changes if they reconnect, so don't keep targetSocketId)
+    peerConnection.onicecandidate = (event) => {
+        if (event.candidate && currentCall.targetSocketId) {
+            socket.emit('webrtc-ice-candidate', {
+                targetSocketId: currentCall.targetSocketId,
+                candidate: event.candidate
+            });
+        }
+    };
+
+    // Handle connection state changes
+    // A dropped connection is restarted rather than hung up (see createCallReconnector)
+    const pc = peerConnection;
+    callReconnector = createCallReconnector(isCaller, restartCallIce, () => {
+        alert('The call connection was lost.');
+        endCall();
+    });
+    peerConnection.onconnectionstatechange = () => {
+        console.log('Connection state:', pc.connectionState);
+        
+        if (pc.connectionState === 'connected') {
+            callReconnector.recovered();
+            if (callStatusText) {
+                callStatusText.textContent = 'Connected';
+                callStatusText.style.color = '#23a55a';
+            }
+            if (!callDurationInterval) {
+                startCallTimer();
+            }
+            startCallStats();
+            showCallInterface();
+        } else if (pc.connectionState === 'disconnected' || pc.connectionState === 'failed') {
+            if (callStatusText) {
+                callStatusText.textContent = 'Reconnecting…';
+                callStatusText.style.color = '#faa61a';
+            }
+            callReconnector.lost(pc.connectionState === 'failed');
+        }
+    };
+}
+
+/**
+ * Send the first offer of a 1:1 call (the caller does, once the call is accepted)
+ */
+function sendCallOffer() {
+    peerConnection.createOffer()
+        .then(offer => {
+            return peerConnection.setLocalDescription(offer);
+        })
+        .then(() => {
+            socket.emit('webrtc-offer', {
+                targetSocketId: currentCall.targetSocketId,
+                offer: peerConnection.localDescription
+            });
+        })
+        .catch(error => {
+            console.error('Error creating offer:', error);
+            endCall();
+        });
+}
+
+/**
+ * Handle a dropped call connection: the side that sent the first offer restarts
+ * ICE (after ICE_RESTART_DELAY, or straight away if the connection failed), and
+ * giveUp() runs if it isn't connected again within CALL_RECONNECT_GRACE.
+ * lost() may be called again while reconnecting; recovered() stops the timers.
+ */
+function createCallReconnector(isCaller, restartIce, giveUp) {
+    let restartTimer = null;
+    let graceTimer = null;
+
+    return {
+        lost(failed) {
+            if (!graceTimer) {
+                graceTimer = setTimeout(giveUp, CALL_RECONNECT_GRACE);
+            }
+            if (isCaller) {
+                clearTimeout(restartTimer);
+                restartTimer = setTimeout(restartIce, failed ? 0 : ICE_RESTART_DELAY);
+            }
+        },
+        recovered() {
+            clearTimeout(restartTimer);
+            clearTimeout(graceTimer);
+            restartTimer = null;
+            graceTimer = null;
+        }
+    };
+}
+
+/**
+ * Restart ICE on the 1:1 call: a new offer through the usual webrtc-offer path
+ * (waits for the socket if it is down; resumeCallAfterReconnect() tries again)
+ */
+async function restartCallIce() {
+    if (!peerConnection || !currentCall.targetSocketId || !socket.connected) {
+        return;
+    }
+
+    try {
+        const offer = await peerConnection.createOffer({ iceRestart: true });
+        await peerConnection.setLocalDescription(offer);
+        socket.emit('webrtc-offer', {
+            targetSocketId: currentCall.targetSocketId,
+            offer: peerConnection.localDescription
+        });
+    } catch (error) {
+        console.error('Error restarting ICE:', error);
+    }
+}
+
+/**
+ * Carry on our call after the socket reconnected (our socket ID has changed)
+ * The server tells the other party our new ID; for a 1:1 call the caller
+ * restarts ICE, and a room call is joined again (everyone dropped our old ID).
+ */
+function resumeCallAfterReconnect() {
+    if (roomCall.active) {
+        Object.keys(roomCall.peers).forEach(removeRoomCallPeer);
+        updateRoomCallStatus();
+        socket.emit('join-room-call', { callType: roomCall.callType });
+    } else if (peerConnection && currentCall.targetSocketId && !currentCall.isIncoming) {
+        restartCallIce();
+    }
+}
+
+/**
+ * Show call interface
+ */
+function showCallInterface() {
+    if (callInterface) callInterface.classList.remove('hidden');
+    if (chatScreen) chatScreen.classList.add('hidden');
+}
+
+/**
+ * Hide call interface
+ */
+function hideCallInterface() {
+    if (callInterface) callInterface.classList.add('hidden');
+    if (chatScreen) chatScreen.classList.remove('hidden');
+}
+
+/**
+ * Start call timer
+ */
+function startCallTimer() {
+    callStartTime = Date.now();
+    callDurationInterval = setInterval(() => {
+        const elapsed = Math.floor((Date.now() - callStartTime) / 1000);
+        const minutes = Math.floor(elapsed / 60);
+        const seconds = elapsed % 60;
+        if (callDuration) {
+            callDuration.textContent = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+        }
+    }, 1000);
+}
+
+/**
+ * Stop call timer
+ */
+function stopCallTimer() {
+    if (callDurationInterval) {
+        clearInterval(callDurationInterval);
+        callDurationInterval = null;
+    }
+    callStartTime = null;
+    if (callDuration) callDuration.textContent = '00:00';
+}
+
+/**
+ * End the current call
+ */
+function endCall() {
+    if (callReconnector) {
+        callReconnector.recovered();
+        callReconnector = null;
+    }
+
+    // Finish the statistics and a recording before the connection closes
+    stopCallStats();
+    stopCallRecording();
+    remoteRecordingBy = null;
+    updateRecordingIndicator();
+
+    // Stop all tracks
+    if (localStream) {
+        localStream.getTracks().forEach(track => track.stop());
+        localStream = null;
+    }
+
+    // Close peer connection
+    if (peerConnection) {
+        peerConnection.close();
+        peerConnection = null;
+    }
+
+    // Clear video/audio elements
+    if (localVideo) localVideo.srcObject = null;
+    if (remoteVideo) {
+        remoteVideo.srcObject = null;
+        remoteVideo.style.display = 'none';
+    }
+    if (remoteAudio) remoteAudio.srcObject = null;
+    if (remoteAudioIndicator) remoteAudioIndicator.classList.add('hidden');
+
+    // Stop timer
+    stopCallTimer();
+
+    // Notify other party if call was active
+    if (currentCall.targetSocketId) {
+        socket.emit('end-call', {
+            targetSocketId: currentCall.targetSocketId
+        });
+    }
+
+    // Reset call state
+    currentCall = {
+        targetSocketId: null,
+        targetUsername: null,
+        callType: null,
+        isIncoming: false
+    };
+
+    // Hide call interface
+    hideCallInterface();
+    if (incomingCallModal) incomingCallModal.classList.add('hidden');
+}
+
+// ==================== DEVICE SETTINGS ====================
+
+/**
+ * Read the remembered devices from localStorage
+ */
+function loadPreferredDevices() {
+    const devices = { camera: '', microphone: '', speaker: '' };
+    try {
+        const saved = JSON.parse(localStorage.getItem(DEVICE_STORAGE_KEY) || '{}');
+        Object.keys(devices).forEach(kind => {
+            if (typeof saved[kind] === 'string') {
+                devices[kind] = saved[kind];
+            }
+        });
+    } catch (error) {
+        console.warn('Could not read saved devices:', error);
+    }
+    return devices;
+}
+
+/**
+ * getUserMedia constraints for the chosen microphone and camera
+ * "ideal" falls back to the default device if the chosen one was unplugged
+ */
+function audioConstraints() {
+    return preferredDevices.microphone ? { deviceId: { ideal: preferredDevices.microphone } } : true;
+}
+
+function videoConstraints() {
+    return preferredDevices.camera ? { deviceId: { ideal: preferredDevices.camera } } : true;
+}
+
+/**
+ * Play a media element on the chosen speaker (where the browser supports it)
+ */
+function applySpeaker(element) {
+    if (!element || typeof element.setSinkId !== 'function') {
+        return;
+    }
+    element.setSinkId(preferredDevices.speaker).catch(error => {
+        console.warn('Could not switch speaker:', error);
+    });
+}
+
+/**
+ * Open the device settings with a camera preview and mic meter
+ */
+async function openDeviceSettings() {
+    deviceSettingsModal.classList.remove('hidden');
+
+    // Device names are only shown once we may use the camera or microphone
+    await startDevicePreview();
+    await fillDeviceLists();
+}
+
+/**
+ * Close the device settings and stop the preview
+ */
+function closeDeviceSettings() {
+    deviceSettingsModal.classList.add('hidden');
+    stopDevicePreview();
+}
+
+/**
+ * List the cameras, microphones and speakers in the dropdowns
+ */
+async function fillDeviceLists() {
+    let devices = [];
+    try {
+        devices = await navigator.mediaDevices.enumerateDevices();
+    } catch (error) {
+        console.error('Error listing devices:', error);
+    }
+
+    const lists = [
+        { select: cameraSelect, kind: 'videoinput', key: 'camera', name: 'Camera' },
+        { select: microphoneSelect, kind: 'audioinput', key: 'microphone', name: 'Microphone' },
+        { select: speakerSelect, kind: 'audiooutput', key: 'speaker', name: 'Speaker' }
+    ];
+
+    lists.forEach(({ select, kind, key, name }) => {
+        select.innerHTML = '';
+
+        const defaultOption = document.createElement('option');
+        defaultOption.value = '';
+        defaultOption.textContent = 'Default';
+        select.appendChild(defaultOption);
+
+        // "default" and "communications" are Chrome's aliases for real devices
+        devices
+            .filter(device => device.kind === kind && device.deviceId && device.deviceId !== 'default' && device.deviceId !== 'communications')
+            .forEach((device, i) => {
+                const option = document.createElement('option');
+                option.value = device.deviceId;
+                option.textContent = device.label || `${name} ${i + 1}`;
+                select.appendChild(option);
+            });
+
+        select.value = preferredDevices[key];
+        // The remembered device isn't plugged in: show the default
+        if (select.value !== preferredDevices[key]) {
+            select.value = '';
+        }
+    });
+
+    // Picking a speaker needs setSinkId (not every browser has it)
+    const canPickSpeaker = typeof HTMLMediaElement.prototype.setSinkId === 'function';
+    speakerSelect.disabled = !canPickSpeaker;
+    speakerUnsupported.classList.toggle('hidden', canPickSpeaker);
+}
+
+/**
+ * Show the chosen camera and a live level meter for the chosen microphone
+ */
+async function startDevicePreview() {
+    stopDevicePreview();
+
+    let stream = null;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: audioConstraints(), video: videoConstraints() });
+    } catch (error) {
+        // No camera (or it's blocked): the microphone alone still works
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ audio: audioConstraints() });
+        } catch (audioError) {
+            console.error('Error opening devices for preview:', audioError);
+            return;
+        }
+    }
+
+    // Closed while we were waiting for permission
+    if (deviceSettingsModal.classList.contains('hidden')) {
+        stream.getTracks().forEach(track => track.stop());
+        return;
+    }
+
+    // Another preview may have started while we waited (devices picked quickly)
+    stopDevicePreview();
+    const preview = { stream: stream, audioContext: null, analyser: null, frame: null };
+    devicePreview = preview;
+
+    cameraPreview.srcObject = stream;
+    cameraPreview.classList.toggle('hidden', stream.getVideoTracks().length === 0);
+
+    try {
+        preview.audioContext = new AudioContext();
+        preview.analyser = preview.audioContext.createAnalyser();
+        preview.analyser.fftSize = 512;
+        preview.audioContext.createMediaStreamSource(stream).connect(preview.analyser);
+    } catch (error) {
+        console.warn('Mic meter not available:', error);
+    }
+
+    const updateMeter = () => {
+        // Speech is rarely louder than a third of full scale
+        micMeterLevel.style.width = `${Math.min(measureLevel(preview.analyser) * 300, 100)}%`;
+        preview.frame = requestAnimationFrame(updateMeter);
+    };
+    updateMeter();
+}
+
+/**
+ * Stop the camera preview and mic meter
+ */
+function stopDevicePreview() {
+    if (!devicePreview) {
+        return;
+    }
+
+    cancelAnimationFrame(devicePreview.frame);
+    devicePreview.stream.getTracks().forEach(track => track.stop());
+    if (devicePreview.audioContext) {
+        devicePreview.audioContext.close();
+    }
+    devicePreview = null;
+
+    cameraPreview.srcObject = null;
+    micMeterLevel.style.width = '0%';
+}
+
+/**
+ * Remember a chosen device and start using it (also in a call that is going on)
+ * kind is 'camera', 'microphone' or 'speaker'
+ */
+async function selectDevice(kind, deviceId) {
+    preferredDevices[kind] = deviceId;
+    try {
+        localStorage.setItem(DEVICE_STORAGE_KEY, JSON.stringify(preferredDevices));
+    } catch (error) {
+        console.warn('Could not save devices:', error);
+    }
+
+    if (kind === 'speaker') {
+        applySpeaker(remoteAudio);
+        applySpeaker(remoteVideo);
+        if (videoGrid) {
+            videoGrid.querySelectorAll('video').forEach(applySpeaker);
+        }
+        return;
+    }
+
+    await startDevicePreview();
+    await switchCallDevice(kind === 'camera' ? 'video' : 'audio');
+}
+
+/**
+ * Swap the camera or microphone during a call
+ * Like screen sharing, the new track replaces the old one in every connection
+ * (replaceTrack), so nothing has to be renegotiated.
+ */
+async function switchCallDevice(trackKind) {
+    if (!localStream) {
+        return;
+    }
+
+    const oldTrack = localStream.getTracks().find(track => track.kind === trackKind);
+    // Audio calls have no camera, and a shared screen stays until sharing stops
+    if (!oldTrack || (trackKind === 'video' && toggleScreenShareBtn && toggleScreenShareBtn.classList.contains('active'))) {
+        return;
+    }
+
+    let newTrack;
+    try {
+        const stream = await navigator.mediaDevices.getUserMedia(
+            trackKind === 'video' ? { video: videoConstraints() } : { audio: audioConstraints() }
+        );
+        newTrack = stream.getTracks()[0];
+    } catch (error) {
+        console.error('Error switching device:', error);
+        alert('Could not switch to that device.');
+        return;
+    }
+
+    // The call may have ended while we waited
+    if (!localStream) {
+        newTrack.stop();
+        return;
+    }
+
+    // Keep muted or camera-off as it was
+    newTrack.enabled = oldTrack.enabled;
+    localStream.removeTrack(oldTrack);
+    localStream.addTrack(newTrack);
+    if (trackKind === 'video' && localVideo) {
+        localVideo.srcObject = localStream;
+    }
+    if (trackKind === 'audio' && callRecording) {
+        reconnectRecordingMic(newTrack);
+    }
+
+    const connections = roomCall.active
+        ? Object.values(roomCall.peers).map(peer => peer.pc)
+        : [peerConnection].filter(Boolean);
+    connections.forEach(pc => {
+        const sender = pc.getSenders().find(s => s.track && s.track.kind === trackKind);
+        if (sender) {
+            sender.replaceTrack(newTrack).catch(err => {
+                console.error('Error replacing track after device switch:', err);
+            });
+        }
+    });
+
+    oldTrack.stop();
+}
+
+// ==================== CALL STATISTICS ====================
+
+/**
+ * The connections of the current call, with where to show their quality warning
+ * Format: [{ pc, username, warning }]
+ */
+function getCallConnections() {
+    if (roomCall.active) {
+        return Object.values(roomCall.peers).map(peer => ({
+            pc: peer.pc,
+            username: peer.username,
+            warning: peer.tile.querySelector('.call-quality-warning')
+        }));
+    }
+    if (peerConnection) {
+        return [{ pc: peerConnection, username: currentCall.targetUsername, warning: remoteQualityWarning }];
+    }
+    return [];
+}
+
+/**
+ * Start reading call statistics (once the call is connected)
+ */
+function startCallStats() {
+    if (callStats) {
+        return;
+    }
+
+    callStats = {
+        timer: setInterval(pollCallStats, CALL_STATS_INTERVAL),
+        startedAt: Date.now(),
+        roomCall: roomCall.active,
+        callType: roomCall.active ? roomCall.callType : currentCall.callType,
+        previous: new Map(),
+        samples: [],
+        connection: null,
+        codec: null
+    };
+}
+
+/**
+ * Stop reading call statistics and send the server a summary of the call
+ * (call this before the connections are closed)
+ */
+function stopCallStats() {
+    if (!callStats) {
+        return;
+    }
+
+    const stats = callStats;
+    callStats = null;
+    clearInterval(stats.timer);
+
+    getCallConnections().forEach(connection => showQualityWarning(connection.warning, []));
+    if (callStatsOverlay) callStatsOverlay.innerHTML = '';
+
+    if (stats.samples.length === 0) {
+        return;
+    }
+
+    // Average of a statistic over every reading that had it
+    const average = (key) => {
+        const values = stats.samples.map(sample => sample[key]).filter(value => value !== null);
+        return values.length > 0
+            ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10
+            : null;
+    };
+
+    socket.emit('call-stats-summary', {
+        roomCall: stats.roomCall,
+        callType: stats.callType,
+        duration: Math.round((Date.now() - stats.startedAt) / 1000),
+        samples: stats.samples.length,
+        rtt: average('rtt'),
+        jitter: average('jitter'),
+        packetLoss: average('packetLoss'),
+        bitrate: average('bitrateIn'),
+        connection: stats.connection,
+        codec: stats.codec
+    });
+}
+
+/**
+ * Read the statistics of every call connection, update warnings and the overlay
+ */
+async function pollCallStats() {
+    const stats = callStats;
+    const connections = getCallConnections().filter(connection => connection.pc.connectionState === 'connected');
+
+    const results = await Promise.all(connections.map(connection =>
+        readConnectionStats(connection.pc, stats.previous).catch(error => {
+            console.warn('Could not read call statistics:', error);
+            return null;
+        })
+    ));
+
+    // The call ended while we were reading
+    if (callStats !== stats) {
+        return;
+    }
+
+    const rows = [];
+    connections.forEach((connection, i) => {
+        const result = results[i];
+        if (!result) {
+            return;
+        }
+
+        stats.samples.push(result);
+        stats.connection = result.connection || stats.connection;
+        stats.codec = result.codec || stats.codec;
+
+        showQualityWarning(connection.warning, getQualityWarnings(result));
+        rows.push({ username: connection.username, stats: result });
+    });
+
+    if (callStatsOverlay && !callStatsOverlay.classList.contains('hidden')) {
+        renderCallStats(rows);
+    }
+}
+
+/**
+ * Read one connection's statistics
+ * Rates (bitrate, packet loss) are worked out against the previous reading.
+ * Returns { rtt, jitter, packetLoss, bitrateIn, bitrateOut, resolution, fps, codec, connection, candidates }
+ */
+async function readConnectionStats(pc, previous) {
+    const report = await pc.getStats();
+    const counters = { time: Date.now(), bytesReceived: 0, bytesSent: 0, packetsReceived: 0, packetsLost: 0 };
+    const jitters = [];
+    let selectedPairId = null;
+    let pair = null;
+    let video = null;
+    let codecId = null;
+
+    report.forEach(entry => {
+        if (entry.type === 'transport' && entry.selectedCandidatePairId) {
+            selectedPairId = entry.selectedCandidatePairId;
+        } else if (entry.type === 'candidate-pair' && !pair && (entry.selected || (entry.nominated && entry.state === 'succeeded'))) {
+            pair = entry;
+        } else if (entry.type === 'inbound-rtp') {
+            counters.bytesReceived += entry.bytesReceived || 0;
+            counters.packetsReceived += entry.packetsReceived || 0;
+            counters.packetsLost += entry.packetsLost || 0;
+            if (entry.jitter !== undefined) {
+                jitters.push(entry.jitter * 1000);
+            }
+            if (entry.kind === 'video') {
+                video = entry;
+            }
+            // Show the video codec if there is one
+            if (entry.codecId && (entry.kind === 'video' || !codecId)) {
+                codecId = entry.codecId;
+            }
+        } else if (entry.type === 'outbound-rtp') {
+            counters.bytesSent += entry.bytesSent || 0;
+        }
+    });
+
+    // Chrome names the selected pair on the transport; Firefox marks the pair itself
+    if (selectedPairId) {
+        pair = report.get(selectedPairId) || pair;
+    }
+    const localCandidate = pair && report.get(pair.localCandidateId);
+    const remoteCandidate = pair && report.get(pair.remoteCandidateId);
+    const codec = codecId && report.get(codecId);
+
+    const result = {
+        rtt: pair && pair.currentRoundTripTime !== undefined ? Math.round(pair.currentRoundTripTime * 1000) : null,
+        jitter: jitters.length > 0 ? Math.round(Math.max(...jitters)) : null,
+        packetLoss: null,
+        bitrateIn: null,
+        bitrateOut: null,
+        resolution: video && video.frameWidth ? `${video.frameWidth}×${video.frameHeight}` : null,
+        fps: video && video.framesPerSecond !== undefined ? Math.round(video.framesPerSecond) : null,
+        codec: codec ? codec.mimeType : null,
+        connection: null,
+        candidates: null
+    };
+
+    if (localCandidate && remoteCandidate) {
+        result.connection = localCandidate.candidateType === 'relay' || remoteCandidate.candidateType === 'relay'
+            ? 'relay'
+            : 'direct';
+        result.candidates = `${localCandidate.candidateType} ↔ ${remoteCandidate.candidateType}`;
+    }
+
+    const last = previous.get(pc);
+    if (last) {
+        const seconds = (counters.time - last.time) / 1000;
+        const received = counters.packetsReceived - last.packetsReceived;
+        const lost = Math.max(counters.packetsLost - last.packetsLost, 0);
+
+        if (seconds > 0) {
+            result.bitrateIn = Math.round((counters.bytesReceived - last.bytesReceived) * 8 / seconds / 1000);
+            result.bitrateOut = Math.round((counters.bytesSent - last.bytesSent) * 8 / seconds / 1000);
+        }
+        if (received + lost > 0) {
+            result.packetLoss = Math.round(lost / (received + lost) * 1000) / 10;
+        }
+    }
+    previous.set(pc, counters);
+
+    return result;
+}
+
+/**
+ * Quality problems in a connection's statistics (empty when it looks fine)
+ */
+function getQualityWarnings(stats) {
+    const warnings = [];
+    if (stats.rtt !== null && stats.rtt > CALL_QUALITY_LIMITS.rtt) {
+        warnings.push(`High latency (${stats.rtt} ms)`);
+    }
+    if (stats.jitter !== null && stats.jitter > CALL_QUALITY_LIMITS.jitter) {
+        warnings.push(`Unstable connection (${stats.jitter} ms jitter)`);
+    }
+    if (stats.packetLoss !== null && stats.packetLoss > CALL_QUALITY_LIMITS.packetLoss) {
+        warnings.push(`Packet loss (${stats.packetLoss}%)`);
+    }
+    return warnings;
+}
+
+/**
+ * Show (or hide) the quality warning on a remote tile
+ */
+function showQualityWarning(element, warnings) {
+    if (!element) {
+        return;
+    }
+    element.textContent = warnings.length > 0 ? `⚠️ ${warnings.join(' · ')}` : '';
+    element.title = warnings.join('\n');
+    element.classList.toggle('hidden', warnings.length === 0);
+}
+
+/**
+ * Fill the statistics overlay, one block per connection
+ * Format of rows: [{ username, stats }]
+ */
+function renderCallStats(rows) {
+    callStatsOverlay.innerHTML = '';
+
+    if (rows.length === 0) {
+        callStatsOverlay.textContent = 'Waiting for a connection...';
+        return;
+    }
+
+    const value = (number, unit) => (number === null ? '–' : `${number} ${unit}`);
+
+    rows.forEach(({ username, stats }) => {
+        const block = document.createElement('div');
+        block.className = 'call-stats-peer';
+
+        const title = document.createElement('div');
+        title.className = 'call-stats-title';
+        title.textContent = username;
+        block.appendChild(title);
+
+        const lines = [
+            ['Connection', stats.connection
+                ? `${stats.connection === 'relay' ? 'Relay (TURN)' : 'Direct'} · ${stats.candidates}`
+                : '–'],
+            ['Round trip', value(stats.rtt, 'ms')],
+            ['Jitter', value(stats.jitter, 'ms')],
+            ['Packet loss', value(stats.packetLoss, '%')],
+            ['Bitrate', `↓ ${value(stats.bitrateIn, 'kbps')} · ↑ ${value(stats.bitrateOut, 'kbps')}`],
+            ['Codec', stats.codec ? stats.codec.split('/')[1] : '–']
+        ];
+        if (stats.resolution) {
+            lines.push(['Video', `${stats.resolution} @ ${value(stats.fps, 'fps')}`]);
+        }
+
+        lines.forEach(([label, text]) => {
+            const row = document.createElement('div');
+            row.className = 'call-stats-row';
+
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'call-stats-label';
+            labelSpan.textContent = label;
+
+            const valueSpan = document.createElement('span');
+            valueSpan.textContent = text;
+
+            row.appendChild(labelSpan);
+            row.appendChild(valueSpan);
+            block.appendChild(row);
+        });
+
+        callStatsOverlay.appendChild(block);
+    });
+}
+
+/**
+ * Show or hide the statistics overlay
+ */
+function toggleCallStatsOverlay() {
+    const show = callStatsOverlay.classList.contains('hidden');
+    callStatsOverlay.classList.toggle('hidden', !show);
+    toggleStatsBtn.classList.toggle('active', show);
+
+    if (show) {
+        callStatsOverlay.textContent = 'Reading call statistics...';
+    }
+}
+
+// ==================== CALL RECORDING ====================
+
+/**
+ * Start or stop recording the current 1:1 call
+ */
+function toggleCallRecording() {
+    if (callRecording) {
+        stopCallRecording();
+    } else {
+        startCallRecording();
+    }
+}
+
+/**
+ * Record the call: both voices mixed together, and for video calls the remote
+ * video with our own in a corner. The other party is told we are recording.
+ */
+function startCallRecording() {
+    if (roomCall.active) {
+        alert('Only one-to-one calls can be recorded.');
+        return;
+    }
+    if (!peerConnection || !remoteStream || !localStream) {
+        alert('The call has not connected yet.');
+        return;
+    }
+    if (!window.MediaRecorder) {
+        alert('Your browser cannot record calls.');
+        return;
+    }
+
+    const isVideo = currentCall.callType === 'video';
+    const mimeType = [isVideo ? 'video/webm;codecs=vp8,opus' : 'audio/webm;codecs=opus', isVideo ? 'video/webm' : 'audio/webm']
+        .find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) {
+        alert('Your browser cannot record calls as WebM.');
+        return;
+    }
+
+    // Mix both voices into one audio track
+    const audioContext = new AudioContext();
+    const mix = audioContext.createMediaStreamDestination();
+    const localSource = connectToMix(audioContext, mix, localStream);
+    connectToMix(audioContext, mix, remoteStream);
+    const tracks = mix.stream.getAudioTracks();
+
+    // Draw the videos onto a canvas (this also picks up screen sharing)
+    let drawTimer = null;
+    if (isVideo) {
+        const canvas = document.createElement('canvas');
+        canvas.width = CALL_RECORDING_WIDTH;
+        canvas.height = CALL_RECORDING_HEIGHT;
+        const context = canvas.getContext('2d');
+
+        drawTimer = setInterval(() => {
+            context.fillStyle = '#000000';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            drawVideoFrame(context, remoteVideo, 0, 0, canvas.width, canvas.height);
+            drawVideoFrame(context, localVideo, canvas.width * 0.75 - 16, canvas.height * 0.75 - 16, canvas.width / 4, canvas.height / 4);
+        }, 1000 / 30);
+
+        tracks.push(canvas.captureStream(30).getVideoTracks()[0]);
+    }
+
+    const recording = {
+        recorder: new MediaRecorder(new MediaStream(tracks), { mimeType: mimeType }),
+        chunks: [],
+        mimeType: mimeType,
+        audioContext: audioContext,
+        mix: mix,
+        localSource: localSource,
+        drawTimer: drawTimer,
+        startedAt: new Date(),
+        partnerUsername: currentCall.targetUsername
+    };
+    recording.recorder.addEventListener('dataavailable', (e) => {
+        if (e.data.size > 0) {
+            recording.chunks.push(e.data);
+        }
+    });
+    recording.recorder.addEventListener('stop', () => saveCallRecording(recording));
+    recording.recorder.start(1000);
+    callRecording = recording;
+
+    socket.emit('call-recording', { targetSocketId: currentCall.targetSocketId, recording: true });
+    updateRecordingIndicator();
+}
+
+/**
+ * Feed a stream's audio into a recording mix
+ * Returns the source node (null if the stream has no audio)
+ */
+function connectToMix(audioContext, mix, stream) {
+    if (stream.getAudioTracks().length === 0) {
+        return null;
+    }
+    const source = audioContext.createMediaStreamSource(stream);
+    source.connect(mix);
+    return source;
+}
+
+/**
+ * Record our voice from a new microphone (after switching devices mid-recording)
+ * A source node keeps playing the track it was created with, so it is replaced
+ */
+function reconnectRecordingMic(track) {
+    if (callRecording.localSource) {
+        callRecording.localSource.disconnect();
+    }
+    callRecording.localSource = connectToMix(callRecording.audioContext, callRecording.mix, new MediaStream([track]));
+}
+
+/**
+ * Draw a video element into a box, keeping its shape (skipped if it has no picture)
+ */
+function drawVideoFrame(context, video, x, y, width, height) {
+    if (!video || !video.srcObject || video.style.display === 'none' || !video.videoWidth) {
+        return;
+    }
+    const scale = Math.min(width / video.videoWidth, height / video.videoHeight);
+    const drawWidth = video.videoWidth * scale;
+    const drawHeight = video.videoHeight * scale;
+    context.drawImage(video, x + (width - drawWidth) / 2, y + (height - drawHeight) / 2, drawWidth, drawHeight);
+}
+
+/**
+ * Stop recording the call (the file is saved once the recorder has finished)
+ */
+function stopCallRecording() {
+    const recording = callRecording;
+    if (!recording) {
+        return;
+    }
+    callRecording = null;
+
+    clearInterval(recording.drawTimer);
+    recording.recorder.stop();
+    recording.audioContext.close();
+
+    if (currentCall.targetSocketId) {
+        socket.emit('call-recording', { targetSocketId: currentCall.targetSocketId, recording: false });
+    }
+    updateRecordingIndicator();
+}
+
+/**
+ * Download a finished call recording, and offer to share it in the room
+ */
+async function saveCallRecording(recording) {
+    if (recording.chunks.length === 0) {
+        return;
+    }
+
+    const blob = new Blob(recording.chunks, { type: recording.mimeType.split(';')[0] });
+    const stamp = recording.startedAt.toISOString().slice(0, 16).replace(/[T:]/g, '-');
+    const filename = `call-${recording.partnerUsername}-${stamp}.webm`;
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 60 * 1000);
+
+    if (!currentUser.roomId || !confirm(`The call recording was downloaded. Also share it in room "${currentUser.roomId}"?`)) {
+        return;
+    }
+
+    await loadFileTypes();
+    const fileType = findFileType(filename);
+    if (allowedFileTypes && (!fileType || blob.size > fileType.maxSize)) {
+        alert('This recording is too large to share in the room. It was only downloaded.');
+        return;
+    }
+
+    loadingOverlay.classList.remove('hidden');
+    try {
+        const formData = new FormData();
+        formData.append('file', blob, filename);
+
+        const response = await fetch(`/upload?roomId=${encodeURIComponent(currentUser.roomId)}`, {
+            method: 'POST',
+            body: formData
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Upload failed');
+        }
+
+        socket.emit('send-file', { uploadId: data.uploadId });
+    } catch (error) {
+        console.error('Error uploading call recording:', error);
+        alert(`Failed to share the recording: ${error.message}`);
+    } finally {
+        loadingOverlay.classList.add('hidden');
+    }
+}
+
+/**
+ * Show who is recording the call (us, the other party or both)
+ */
+function updateRecordingIndicator() {
+    if (!callRecordingIndicator) {
+        return;
+    }
+
+    let text = '';
+    if (callRecording && remoteRecordingBy) {
+        text = `● You and ${remoteRecordingBy} are recording this call`;
+    } else if (callRecording) {
+        text = '● You are recording this call';
+    } else if (remoteRecordingBy) {
+        text = `● ${remoteRecordingBy} is recording this call`;
+    }
+
+    callRecordingIndicator.textContent = text;
+    callRecordingIndicator.classList.toggle('hidden', !text);
+    if (toggleRecordingBtn) {
+        toggleRecordingBtn.classList.toggle('recording', !!callRecording);
+        toggleRecordingBtn.title = callRecording ? 'Stop Recording' : 'Record Call';
+    }
+}
+
+// ==================== ROOM GROUP CALLS ====================
+
+/**
+ * Join the room's group call
+ * The server replies with everyone already in the call and we connect to each of them
+ */
+async function joinRoomCall(callType) {
+    if (roomCall.active) {
+        return;
+    }
+    if (currentCall.targetSocketId) {
+        alert('Finish your current call before joining the room call.');
+        return;
+    }
+
+    try {
+        localStream = await navigator.mediaDevices.getUserMedia({
+            audio: audioConstraints(),
+            video: callType === 'video' ? videoConstraints() : false
+        });
+        await loadRtcConfiguration();
+    } catch (error) {
+        console.error('Error joining room call:', error);
+        alert('Failed to access camera/microphone. Please check permissions.');
+        return;
+    }
+
+    roomCall = {
+        active: true,
+        callType: callType,
+        peers: {}
     };
 
-    // Handle ICE candidates
-    peerConnection.onicecandidate = (event) => {
+    if (callType === 'video' && localVideo) {
+        localVideo.srcObject = localStream;
+        localVideo.style.display = 'block';
+        localVideo.muted = true;
+    }
+
+    // The grid replaces the single remote video used by 1:1 calls
+    if (remoteVideo) remoteVideo.style.display = 'none';
+    if (remoteAudioIndicator) remoteAudioIndicator.classList.add('hidden');
+    if (videoGrid) videoGrid.classList.remove('hidden');
+
+    showCallInterface();
+    if (callStatusText) {
+        callStatusText.textContent = 'Joining room call...';
+        callStatusText.style.color = '#faa61a';
+    }
+
+    socket.emit('join-room-call', { callType });
+}
+
+/**
+ * Leave the room's group call and close every peer connection
+ */
+function leaveRoomCall() {
+    stopCallStats();
+    Object.keys(roomCall.peers).forEach(removeRoomCallPeer);
+
+    if (localStream) {
+        localStream.getTracks().forEach(track => track.stop());
+        localStream = null;
+    }
+    if (localVideo) localVideo.srcObject = null;
+
+    if (videoGrid) {
+        videoGrid.innerHTML = '';
+        videoGrid.classList.add('hidden');
+    }
+
+    stopCallTimer();
+    socket.emit('leave-room-call');
+
+    roomCall = {
+        active: false,
+        callType: null,
+        peers: {}
+    };
+
+    hideCallInterface();
+}
+
+/**
+ * Create a peer connection to one other participant of the room call
+ * The newest participant is the caller and sends the offer
+ */
+function createRoomCallPeer(socketId, username, isCaller) {
+    const pc = new RTCPeerConnection(rtcConfiguration);
+    const peer = {
+        pc: pc,
+        username: username,
+        stream: new MediaStream(),
+        tile: createVideoTile(socketId, username),
+        pendingCandidates: []
+    };
+    roomCall.peers[socketId] = peer;
+
+    if (localStream) {
+        localStream.getTracks().forEach(track => {
+            pc.addTrack(track, localStream);
+        });
+    }
+
+    pc.ontrack = (event) => {
+        peer.stream.addTrack(event.track);
+        const video = peer.tile.querySelector('video');
+        video.srcObject = peer.stream;
+        video.play().catch(err => console.error('Error playing participant media:', err));
+
+        if (event.track.kind === 'video') {
+            peer.tile.classList.add('has-video');
+            event.track.onended = () => peer.tile.classList.remove('has-video');
+        }
+    };
+
+    pc.onicecandidate = (event) => {
         if (event.candidate) {
             socket.emit('webrtc-ice-candidate', {
-                targetSocketId: targetSocketId,
-                candidate: event.candidate
+                targetSocketId: socketId,
+                candidate: event.candidate,
+                roomCall: true
             });
         }
     };
 
-    // Handle connection state changes
-    peerConnection.onconnectionstatechange = () => {
-        console.log('Connection state:', peerConnection.connectionState);
-        
-        if (peerConnection.connectionState === 'connected') {
-            if (callStatusText) {
-                callStatusText.textContent = 'Connected';
-                callStatusText.style.color = '#23a55a';
+    peer.reconnector = createCallReconnector(isCaller, () => restartRoomCallPeerIce(socketId), () => removeRoomCallPeer(socketId));
+    pc.onconnectionstatechange = () => {
+        console.log(`Room call connection to ${peer.username}:`, pc.connectionState);
+
+        if (pc.connectionState === 'connected') {
+            peer.reconnector.recovered();
+            peer.tile.classList.add('connected');
+            peer.tile.classList.remove('reconnecting');
+            if (!callStartTime) {
+                startCallTimer();
             }
-            startCallTimer();
-            showCallInterface();
-        } else if (peerConnection.connectionState === 'disconnected' || 
-                   peerConnection.connectionState === 'failed') {
-            endCall();
+            startCallStats();
+            updateRoomCallStatus();
+        } else if (pc.connectionState === 'disconnected' || pc.connectionState === 'failed') {
+            peer.tile.classList.add('reconnecting');
+            peer.reconnector.lost(pc.connectionState === 'failed');
+            updateRoomCallStatus();
         }
     };
 
-    // If caller, create offer
     if (isCaller) {
-        peerConnection.createOffer()
-            .then(offer => {
-                return peerConnection.setLocalDescription(offer);
-            })
+        pc.createOffer()
+            .then(offer => pc.setLocalDescription(offer))
             .then(() => {
                 socket.emit('webrtc-offer', {
-                    targetSocketId: targetSocketId,
-                    offer: peerConnection.localDescription
+                    targetSocketId: socketId,
+                    offer: pc.localDescription,
+                    roomCall: true
                 });
             })
             .catch(error => {
-                console.error('Error creating offer:', error);
-                endCall();
+                console.error('Error creating room call offer:', error);
+                removeRoomCallPeer(socketId);
             });
     }
+
+    updateRoomCallStatus();
+    return peer;
 }
 
 /**
- * Show call interface
+ * Restart ICE with one room call participant (we sent them the first offer)
  */
-function showCallInterface() {
-    if (callInterface) callInterface.classList.remove('hidden');
-    if (chatScreen) chatScreen.classList.add('hidden');
+async function restartRoomCallPeerIce(socketId) {
+    const peer = roomCall.peers[socketId];
+    if (!peer || !socket.connected) {
+        return;
+    }
+
+    try {
+        const offer = await peer.pc.createOffer({ iceRestart: true });
+        await peer.pc.setLocalDescription(offer);
+        socket.emit('webrtc-offer', {
+            targetSocketId: socketId,
+            offer: peer.pc.localDescription,
+            roomCall: true
+        });
+    } catch (error) {
+        console.error('Error restarting ICE with room call participant:', error);
+    }
 }
 
 /**
- * Hide call interface
+ * Close the connection to one participant and remove their tile
  */
-function hideCallInterface() {
-    if (callInterface) callInterface.classList.add('hidden');
-    if (chatScreen) chatScreen.classList.remove('hidden');
+function removeRoomCallPeer(socketId) {
+    const peer = roomCall.peers[socketId];
+    if (!peer) {
+        return;
+    }
+
+    peer.reconnector.recovered();
+    peer.pc.close();
+    peer.tile.remove();
+    delete roomCall.peers[socketId];
+    updateRoomCallStatus();
 }
 
 /**
- * Start call timer
+ * Create a grid tile for a participant
+ * Shows their video, or an avatar with their name in audio-only calls
  */
-function startCallTimer() {
-    callStartTime = Date.now();
-    callDurationInterval = setInterval(() => {
-        const elapsed = Math.floor((Date.now() - callStartTime) / 1000);
-        const minutes = Math.floor(elapsed / 60);
-        const seconds = elapsed % 60;
-        if (callDuration) {
-            callDuration.textContent = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+function createVideoTile(socketId, username) {
+    const tile = document.createElement('div');
+    tile.className = 'video-tile';
+    tile.dataset.socketId = socketId;
+
+    const video = document.createElement('video');
+    video.autoplay = true;
+    video.playsInline = true;
+
+    const avatar = document.createElement('div');
+    avatar.className = 'video-tile-avatar';
+    avatar.textContent = username.charAt(0).toUpperCase();
+
+    const label = document.createElement('div');
+    label.className = 'video-tile-name';
+    label.textContent = username;
+
+    const warning = document.createElement('div');
+    warning.className = 'call-quality-warning hidden';
+
+    tile.appendChild(video);
+    tile.appendChild(avatar);
+    tile.appendChild(label);
+    tile.appendChild(warning);
+    applySpeaker(video);
+
+    if (videoGrid) videoGrid.appendChild(tile);
+    return tile;
+}
+
+/**
+ * Show how many people we are connected to in the room call
+ */
+function updateRoomCallStatus() {
+    if (!roomCall.active || !callStatusText) {
+        return;
+    }
+
+    const peers = Object.values(roomCall.peers);
+    const connected = peers.filter(peer => peer.pc.connectionState === 'connected').length;
+
+    if (videoGrid) videoGrid.dataset.count = peers.length;
+
+    if (peers.length === 0) {
+        callStatusText.textContent = 'Waiting for others to join...';
+        callStatusText.style.color = '#faa61a';
+    } else if (peers.some(peer => peer.tile.classList.contains('reconnecting'))) {
+        callStatusText.textContent = 'Reconnecting…';
+        callStatusText.style.color = '#faa61a';
+    } else if (connected < peers.length) {
+        callStatusText.textContent = `Connecting (${connected}/${peers.length})...`;
+        callStatusText.style.color = '#faa61a';
+    } else {
+        callStatusText.textContent = `Room call · ${peers.length + 1} people`;
+        callStatusText.style.color = '#23a55a';
+    }
+}
+
+/**
+ * Send a new video track (e.g. screen share) to every room call participant
+ */
+function replaceRoomCallVideoTrack(newVideoTrack) {
+    Object.values(roomCall.peers).forEach(peer => {
+        const sender = peer.pc.getSenders().find(s => s.track && s.track.kind === 'video');
+        if (sender) {
+            sender.replaceTrack(newVideoTrack).catch(err => {
+                console.error(`Error replacing video track for ${peer.username}:`, err);
+            });
         }
-    }, 1000);
+    });
 }
 
 /**
- * Stop call timer
+ * Add ICE candidates that arrived before the remote description was set
  */
-function stopCallTimer() {
-    if (callDurationInterval) {
-        clearInterval(callDurationInterval);
-        callDurationInterval = null;
+async function flushPendingCandidates(peer) {
+    const candidates = peer.pendingCandidates;
+    peer.pendingCandidates = [];
+    for (const candidate of candidates) {
+        try {
+            await peer.pc.addIceCandidate(new RTCIceCandidate(candidate));
+        } catch (error) {
+            console.error('Error adding queued ICE candidate:', error);
+        }
     }
-    callStartTime = null;
-    if (callDuration) callDuration.textContent = '00:00';
 }
 
 /**
- * End the current call
+ * Handle an offer from a participant who just joined the room call
+ * Only participants announced by the server (room-call-participant-joined) are answered
  */
-function endCall() {
-    // Stop all tracks
-    if (localStream) {
-        localStream.getTracks().forEach(track => track.stop());
-        localStream = null;
+async function handleRoomCallOffer(data) {
+    const peer = roomCall.active && roomCall.peers[data.fromSocketId];
+    if (!peer) {
+        return;
     }
 
-    // Close peer connection
-    if (peerConnection) {
-        peerConnection.close();
-        peerConnection = null;
+    try {
+        await peer.pc.setRemoteDescription(data.offer);
+        await flushPendingCandidates(peer);
+        const answer = await peer.pc.createAnswer();
+        await peer.pc.setLocalDescription(answer);
+
+        socket.emit('webrtc-answer', {
+            targetSocketId: data.fromSocketId,
+            answer: peer.pc.localDescription,
+            roomCall: true
+        });
+    } catch (error) {
+        console.error('Error handling room call offer:', error);
+        removeRoomCallPeer(data.fromSocketId);
     }
+}
 
-    // Clear video/audio elements
-    if (localVideo) localVideo.srcObject = null;
-    if (remoteVideo) {
-        remoteVideo.srcObject = null;
-        remoteVideo.style.display = 'none';
+/**
+ * Handle the answer to an offer we sent when joining the room call
+ */
+async function handleRoomCallAnswer(data) {
+    const peer = roomCall.peers[data.fromSocketId];
+    if (!peer) {
+        return;
     }
-    if (remoteAudio) remoteAudio.srcObject = null;
-    if (remoteAudioIndicator) remoteAudioIndicator.classList.add('hidden');
 
-    // Stop timer
-    stopCallTimer();
+    try {
+        await peer.pc.setRemoteDescription(new RTCSessionDescription(data.answer));
+        await flushPendingCandidates(peer);
+    } catch (error) {
+        console.error('Error handling room call answer:', error);
+        removeRoomCallPeer(data.fromSocketId);
+    }
+}
 
-    // Notify other party if call was active
-    if (currentCall.targetSocketId) {
-        socket.emit('end-call', {
-            targetSocketId: currentCall.targetSocketId
-        });
+/**
+ * Handle an ICE candidate from a room call participant
+ */
+async function handleRoomCallIceCandidate(data) {
+    const peer = roomCall.peers[data.fromSocketId];
+    if (!peer || !data.candidate) {
+        return;
     }
 
-    // Reset call state
-    currentCall = {
-        targetSocketId: null,
-        targetUsername: null,
-        callType: null,
-        isIncoming: false
-    };
+    if (!peer.pc.remoteDescription) {
+        peer.pendingCandidates.push(data.candidate);
+        return;
+    }
 
-    // Hide call interface
-    hideCallInterface();
-    if (incomingCallModal) incomingCallModal.classList.add('hidden');
+    try {
+        await peer.pc.addIceCandidate(new RTCIceCandidate(data.candidate));
+    } catch (error) {
+        console.error('Error adding room call ICE candidate:', error);
+    }
 }
 
 // ==================== CALL EVENT LISTENERS ====================
@@ -832,11 +4567,12 @@ function setupCallEventListeners() {
     try {
         // Request media permissions
         const constraints = {
-            audio: true,
-            video: currentCall.callType === 'video' ? true : false
+            audio: audioConstraints(),
+            video: currentCall.callType === 'video' ? videoConstraints() : false
         };
 
         localStream = await navigator.mediaDevices.getUserMedia(constraints);
+        await loadRtcConfiguration();
 
         // Setup local video IMMEDIATELY so both sides can see it
         if (currentCall.callType === 'video' && localVideo) {
@@ -849,7 +4585,7 @@ function setupCallEventListeners() {
         showCallInterface();
 
         // Create peer connection as answerer (before accepting, so stream is ready)
-        createPeerConnection(currentCall.targetSocketId, false);
+        createPeerConnection(false);
 
         // Accept call
         socket.emit('accept-call', {
@@ -873,7 +4609,30 @@ function setupCallEventListeners() {
 
     rejectCallBtn.addEventListener('click', rejectCall);
 
-    endCallBtn.addEventListener('click', endCall);
+    endCallBtn.addEventListener('click', () => {
+        if (roomCall.active) {
+            leaveRoomCall();
+        } else {
+            endCall();
+        }
+    });
+
+    if (toggleRecordingBtn) {
+        toggleRecordingBtn.addEventListener('click', toggleCallRecording);
+    }
+
+    if (toggleStatsBtn) {
+        toggleStatsBtn.addEventListener('click', toggleCallStatsOverlay);
+    }
+
+    if (callDeviceSettingsBtn) {
+        callDeviceSettingsBtn.addEventListener('click', openDeviceSettings);
+    }
+
+    if (joinRoomCallAudioBtn && joinRoomCallVideoBtn) {
+        joinRoomCallAudioBtn.addEventListener('click', () => joinRoomCall('audio'));
+        joinRoomCallVideoBtn.addEventListener('click', () => joinRoomCall('video'));
+    }
 
     if (toggleMuteBtn) {
         toggleMuteBtn.addEventListener('click', () => {
@@ -913,7 +4672,7 @@ function setupCallEventListeners() {
                 
                 if (isScreenSharing) {
                     // Currently sharing screen, switch back to camera
-                    const cameraStream = await navigator.mediaDevices.getUserMedia({ video: true });
+                    const cameraStream = await navigator.mediaDevices.getUserMedia({ video: videoConstraints() });
                     const newVideoTrack = cameraStream.getVideoTracks()[0];
                     const oldVideoTrack = localStream.getVideoTracks()[0];
                     
@@ -947,6 +4706,8 @@ function setupCallEventListeners() {
                         }
                     }
                     
+                    replaceRoomCallVideoTrack(newVideoTrack);
+                    
                     if (oldVideoTrack) oldVideoTrack.stop();
                     toggleScreenShareBtn.classList.remove('active');
                 } else {
@@ -991,15 +4752,16 @@ function setupCallEventListeners() {
                             peerConnection.addTrack(newVideoTrack, localStream);
                             console.log('Added screen share track (no existing sender)');
                         }
-                    } else {
+                    } else if (!roomCall.active) {
                         console.error('No peer connection for screen share');
                     }
+                    replaceRoomCallVideoTrack(newVideoTrack);
 
                     // Handle screen share end (when user stops sharing from browser)
                     newVideoTrack.onended = () => {
                         toggleScreenShareBtn.classList.remove('active');
                         // Switch back to camera
-                        navigator.mediaDevices.getUserMedia({ video: true }).then(cameraStream => {
+                        navigator.mediaDevices.getUserMedia({ video: videoConstraints() }).then(cameraStream => {
                             const cameraTrack = cameraStream.getVideoTracks()[0];
                             localStream.removeTrack(newVideoTrack);
                             localStream.addTrack(cameraTrack);
@@ -1019,6 +4781,7 @@ function setupCallEventListeners() {
                                     console.error('Error replacing track after screen share end:', err);
                                 });
                             }
+                            replaceRoomCallVideoTrack(cameraTrack);
                             if (oldVideoTrack) oldVideoTrack.stop();
                         });
                     };
@@ -1063,12 +4826,67 @@ socket.on('room-users-list', (users) => {
     updateUsersList(users);
 });
 
+// Handle room call status (who is in the room's group call)
+socket.on('room-call-status', (data) => {
+    if (!roomCallCount) {
+        initCallElements();
+    }
+
+    const count = data.participants.length;
+    roomCallCount.textContent = `🔊 ${count} in call`;
+    roomCallCount.title = data.participants.map(p => p.username).join(', ');
+    roomCallCount.classList.toggle('hidden', count === 0);
+    joinRoomCallAudioBtn.textContent = count === 0 ? '🎧 Start Call' : '🎧 Join Call';
+});
+
+// Handle joining the room call: connect to everyone already in it
+socket.on('room-call-joined', (data) => {
+    if (!roomCall.active) {
+        return;
+    }
+
+    data.participants.forEach(p => createRoomCallPeer(p.socketId, p.username, true));
+    updateRoomCallStatus();
+});
+
+// Handle a new participant joining the room call (they will send us an offer)
+socket.on('room-call-participant-joined', (data) => {
+    if (!roomCall.active || roomCall.peers[data.socketId]) {
+        return;
+    }
+
+    createRoomCallPeer(data.socketId, data.username, false);
+});
+
+// Handle a participant leaving the room call
+socket.on('room-call-participant-left', (data) => {
+    removeRoomCallPeer(data.socketId);
+});
+
+// Handle call errors (e.g. room call is full)
+socket.on('call-error', (data) => {
+    alert(data.message);
+    if (roomCall.active) {
+        if (Object.keys(roomCall.peers).length === 0) {
+            leaveRoomCall();
+        }
+    } else if (currentCall.targetSocketId) {
+        endCall();
+    }
+});
+
 // Handle incoming call
 socket.on('incoming-call', (data) => {
     if (!incomingCallModal) {
         initCallElements();
     }
 
+    // Busy in the room call: turn down 1:1 calls
+    if (roomCall.active) {
+        socket.emit('reject-call', { callerSocketId: data.callerSocketId });
+        return;
+    }
+
     currentCall = {
         targetSocketId: data.callerSocketId,
         targetUsername: data.callerUsername,
@@ -1083,8 +4901,13 @@ socket.on('incoming-call', (data) => {
     if (incomingCallModal) incomingCallModal.classList.remove('hidden');
 });
 
-// Handle call accepted
+// Handle call accepted (the other side is ready for our offer now)
 socket.on('call-accepted', (data) => {
+    if (!peerConnection || currentCall.isIncoming || data.answererSocketId !== currentCall.targetSocketId) {
+        return;
+    }
+    sendCallOffer();
+
     if (callStatusText) {
         callStatusText.textContent = 'Connecting...';
         callStatusText.style.color = '#faa61a';
@@ -1103,10 +4926,56 @@ socket.on('call-ended', (data) => {
     endCall();
 });
 
+// Handle someone in our call reconnecting with a new socket ID
+// (in a 1:1 call the caller restarts ICE towards the new ID)
+socket.on('member-reconnected', (data) => {
+    // Room call: drop the dead connection and wait for the offer from their new socket
+    if (roomCall.active && roomCall.peers[data.previousSocketId]) {
+        removeRoomCallPeer(data.previousSocketId);
+        createRoomCallPeer(data.socketId, data.username, false);
+        return;
+    }
+
+    if (!currentCall.targetSocketId || currentCall.targetSocketId !== data.previousSocketId) {
+        return;
+    }
+
+    currentCall.targetSocketId = data.socketId;
+    if (peerConnection && !currentCall.isIncoming) {
+        restartCallIce();
+    }
+});
+
+// Handle the other party starting or stopping a recording of our call
+socket.on('call-recording', (data) => {
+    if (data.fromSocketId !== currentCall.targetSocketId) {
+        return;
+    }
+    if (!callRecordingIndicator) {
+        initCallElements();
+    }
+
+    remoteRecordingBy = data.recording ? data.fromUsername : null;
+    updateRecordingIndicator();
+});
+
+/**
+ * Is this 1:1 signalling from the person we are in a call with?
+ * Anything else is ignored, so nobody else can connect to our camera and mic
+ * (which may be live for a room call)
+ */
+function isFromCallPartner(data) {
+    return !roomCall.active && !!peerConnection && data.fromSocketId === currentCall.targetSocketId;
+}
+
 // Handle WebRTC offer
 socket.on('webrtc-offer', async (data) => {
-    if (!peerConnection) {
-        createPeerConnection(data.fromSocketId, false);
+    if (data.roomCall) {
+        handleRoomCallOffer(data);
+        return;
+    }
+    if (!isFromCallPartner(data)) {
+        return;
     }
 
     try {
@@ -1126,14 +4995,17 @@ socket.on('webrtc-offer', async (data) => {
 
 // Handle WebRTC answer
 socket.on('webrtc-answer', async (data) => {
+    if (data.roomCall) {
+        handleRoomCallAnswer(data);
+        return;
+    }
+    if (!isFromCallPartner(data)) {
+        return;
+    }
+
     console.log('Received WebRTC answer');
     
     try {
-        if (!peerConnection) {
-            console.error('No peer connection when receiving answer');
-            return;
-        }
-        
         await peerConnection.setRemoteDescription(new RTCSessionDescription(data.answer));
         console.log('Remote description set from answer');
     } catch (error) {
@@ -1145,7 +5017,12 @@ socket.on('webrtc-answer', async (data) => {
 
 // Handle ICE candidate
 socket.on('webrtc-ice-candidate', async (data) => {
-    if (peerConnection && data.candidate) {
+    if (data.roomCall) {
+        handleRoomCallIceCandidate(data);
+        return;
+    }
+
+    if (isFromCallPartner(data) && data.candidate) {
         try {
             await peerConnection.addIceCandidate(new RTCIceCandidate(data.candidate));
             console.log('ICE candidate added');
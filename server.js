@@ -7,6 +7,18 @@ const socketIo = require('socket.io');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { createMessageStore } = require('./lib/message-store');
+const { createUserStore } = require('./lib/user-store');
+const { createSessionManager } = require('./lib/sessions');
+const { createRoomStore } = require('./lib/room-store');
+const { createFileTypes, parseUploadLimits, matchesFileType } = require('./lib/file-types');
+const { processImage } = require('./lib/images');
+const { createUploadStore } = require('./lib/upload-store');
+const { createUploadSweeper } = require('./lib/upload-sweeper');
+const { createRateLimiter, createStrikeTracker } = require('./lib/rate-limiter');
+const { validateEvent } = require('./lib/socket-schemas');
+const { createCommandRegistry, parseMention } = require('./lib/commands');
 
 // Create Express app
 const app = express();
@@ -22,15 +34,220 @@ if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir);
 }
 
-// Configure Multer for image uploads
-// Only accepts PNG and JPG files
+// Message history storage ('file' or 'memory')
+// File store keeps one JSON Lines file per room in the data directory
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+const messageStore = createMessageStore(process.env.MESSAGE_STORE || 'file', { dataDir });
+
+// Registered accounts (data/users.json) and login sessions (in memory)
+const userStore = createUserStore(dataDir);
+const sessions = createSessionManager();
+
+// Settings of created rooms: owner, password, invite list (data/rooms.json)
+const roomStore = createRoomStore(dataDir);
+
+// Uploaded files and the room each belongs to (data/uploads.json)
+const uploadStore = createUploadStore(dataDir);
+
+// Number of recent messages replayed to a user when they join a room
+const HISTORY_LIMIT = parseInt(process.env.HISTORY_LIMIT, 10) || 50;
+
+// Most different emoji a message can be reacted with
+const MAX_REACTIONS_PER_MESSAGE = 20;
+
+// Flood protection: token buckets per socket and per IP address
+// Each socket event belongs to a group with its own burst size and rate.
+// IP buckets are IP_RATE_FACTOR times bigger (RATE_LIMIT_IP_FACTOR, 0 turns
+// them off), so a whole office behind one NAT still fits, but a flood from
+// many sockets does not.
+// Groups with `strikes: false` are sent automatically by the client, so
+// refusing them never counts against the user.
+const RATE_LIMITS = {
+  chat: { capacity: 10, refillPerSecond: 1 },
+  reaction: { capacity: 20, refillPerSecond: 2 },
+  presence: { capacity: 30, refillPerSecond: 5, strikes: false },
+  room: { capacity: 5, refillPerSecond: 0.2 },
+  call: { capacity: 10, refillPerSecond: 0.5 },
+  signal: { capacity: 300, refillPerSecond: 50 },
+  upload: { capacity: 5, refillPerSecond: 0.2 },
+  auth: { capacity: 5, refillPerSecond: 0.1 }
+};
+const IP_RATE_FACTOR = envNumber('RATE_LIMIT_IP_FACTOR', 50);
+
+// Group of each socket event (events not listed here use 'chat')
+const SOCKET_EVENT_GROUPS = {
+  'join-room': 'room',
+  'create-room': 'room',
+  'add-reaction': 'reaction',
+  'remove-reaction': 'reaction',
+  'typing-start': 'presence',
+  'typing-stop': 'presence',
+  'mark-read': 'presence',
+  'get-room-users': 'presence',
+  'get-thread': 'presence',
+  'call-user': 'call',
+  'accept-call': 'call',
+  'reject-call': 'call',
+  'end-call': 'call',
+  'join-room-call': 'call',
+  'leave-room-call': 'call',
+  'call-recording': 'call',
+  'call-stats-summary': 'call',
+  'webrtc-offer': 'signal',
+  'webrtc-answer': 'signal',
+  'webrtc-ice-candidate': 'signal'
+};
+
+// Repeat offenders: this many refused requests within a minute
+// gets the user disconnected for five minutes
+const strikeTracker = createStrikeTracker({
+  maxStrikes: 20,
+  window: 60 * 1000,
+  blockDuration: 5 * 60 * 1000
+});
+
+// One socket limiter and one IP limiter per group
+const rateLimiters = {};
+Object.keys(RATE_LIMITS).forEach((group) => {
+  const { capacity, refillPerSecond } = RATE_LIMITS[group];
+  rateLimiters[group] = {
+    client: createRateLimiter({ capacity, refillPerSecond }),
+    ip: IP_RATE_FACTOR > 0
+      ? createRateLimiter({
+        capacity: capacity * IP_RATE_FACTOR,
+        refillPerSecond: refillPerSecond * IP_RATE_FACTOR
+      })
+      : null
+  };
+});
+
+// Behind a reverse proxy, set TRUST_PROXY=true so client IPs come from X-Forwarded-For
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+
+/**
+ * Get the client's IP address from a request (HTTP or the socket handshake)
+ */
+function getClientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (TRUST_PROXY && forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  return req.socket.remoteAddress;
+}
+
+/**
+ * Take a token for a client (socket or user) and their IP in a group
+ * Returns null if allowed, otherwise which bucket was empty: 'client' or 'ip'
+ */
+function checkRateLimit(group, clientKey, ip) {
+  const limiter = rateLimiters[group];
+  // Check the client first so one noisy client doesn't drain the shared IP bucket
+  if (!limiter.client.take(clientKey)) {
+    return 'client';
+  }
+  if (limiter.ip && !limiter.ip.take(ip)) {
+    return 'ip';
+  }
+  return null;
+}
+
+/**
+ * Does a refused request count as a strike against the user?
+ * Only when their own bucket ran dry: an IP bucket can be emptied by many
+ * people behind one network, so IP refusals never block anyone.
+ */
+function isStrike(group, refusedBy) {
+  return refusedBy === 'client' && RATE_LIMITS[group].strikes !== false;
+}
+
+// ICE servers for WebRTC calls (see DEPLOYMENT.md)
+// STUN_URLS and TURN_URLS are comma-separated lists.
+// With TURN_SECRET set, short-lived TURN credentials are generated for each
+// request using the coturn "use-auth-secret" scheme.
+const STUN_URLS = (process.env.STUN_URLS || 'stun:stun.l.google.com:19302,stun:stun1.l.google.com:19302')
+  .split(',').map((url) => url.trim()).filter(Boolean);
+const TURN_URLS = (process.env.TURN_URLS || '')
+  .split(',').map((url) => url.trim()).filter(Boolean);
+const TURN_SECRET = process.env.TURN_SECRET || '';
+const TURN_TTL = parseInt(process.env.TURN_TTL, 10) || 3600; // seconds
+
+/**
+ * Build the ICE server list sent to a logged-in user
+ * TURN credentials expire after TURN_TTL seconds
+ */
+function getIceServers(userId) {
+  const iceServers = [];
+
+  if (STUN_URLS.length > 0) {
+    iceServers.push({ urls: STUN_URLS });
+  }
+
+  if (TURN_URLS.length > 0) {
+    if (TURN_SECRET) {
+      // username is "<expiry timestamp>:<user ID>", credential is its HMAC
+      const expiry = Math.floor(Date.now() / 1000) + TURN_TTL;
+      const username = `${expiry}:${userId}`;
+      const credential = crypto.createHmac('sha1', TURN_SECRET).update(username).digest('base64');
+      iceServers.push({ urls: TURN_URLS, username, credential });
+    } else if (process.env.TURN_USERNAME) {
+      // Static credentials (simpler, but they never expire)
+      iceServers.push({
+        urls: TURN_URLS,
+        username: process.env.TURN_USERNAME,
+        credential: process.env.TURN_CREDENTIAL || ''
+      });
+    }
+  }
+
+  return iceServers;
+}
+
+// Files that can be shared, with a size limit per type (see lib/file-types.js)
+const fileTypes = createFileTypes(parseUploadLimits(process.env.UPLOAD_LIMITS));
+
+// Files shown inline in the chat; everything else is served as a download
+const INLINE_FILE_CATEGORIES = ['image', 'gif', 'video', 'audio', 'voice'];
+
+// Voice messages: longest recording (seconds) and number of waveform bars
+const MAX_VOICE_DURATION = 5 * 60;
+const VOICE_WAVEFORM_BARS = 64;
+
+/**
+ * Read a number from an environment variable (or use the default)
+ */
+function envNumber(name, defaultValue) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) || value < 0 ? defaultValue : value;
+}
+
+// Upload storage limits (see DEPLOYMENT.md)
+// Quotas are in megabytes (0 = unlimited); retention is in days (0 = keep forever)
+const UPLOAD_USER_QUOTA = envNumber('UPLOAD_USER_QUOTA_MB', 200) * 1024 * 1024;
+const UPLOAD_ROOM_QUOTA = envNumber('UPLOAD_ROOM_QUOTA_MB', 1000) * 1024 * 1024;
+const UPLOAD_RETENTION_DAYS = envNumber('UPLOAD_RETENTION_DAYS', 0);
+const UPLOAD_DELETE_EMPTY_ROOMS = process.env.UPLOAD_DELETE_EMPTY_ROOMS === 'true';
+const UPLOAD_SWEEP_INTERVAL = (envNumber('UPLOAD_SWEEP_MINUTES', 0) || 60) * 60 * 1000;
+
+// Usernames allowed to see admin reports (comma-separated)
+const ADMIN_USERS = (process.env.ADMIN_USERS || '')
+  .split(',').map((name) => name.trim().toLowerCase()).filter(Boolean);
+
+// Deletes expired and orphaned uploads (started with the server)
+const uploadSweeper = createUploadSweeper({
+  uploadStore,
+  uploadsDir,
+  retentionDays: UPLOAD_RETENTION_DAYS
+});
+
+// Configure Multer for file uploads
+// Only accepts files on the allow-list
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     cb(null, uploadsDir);
   },
   filename: (req, file, cb) => {
     // Create unique filename with timestamp
-    const uniqueName = Date.now() + '-' + Math.round(Math.random() * 1E9) + path.extname(file.originalname);
+    const uniqueName = Date.now() + '-' + Math.round(Math.random() * 1E9) + path.extname(file.originalname).toLowerCase();
     cb(null, uniqueName);
   }
 });
@@ -38,87 +255,1581 @@ const storage = multer.diskStorage({
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
+    // Largest limit of any type; the per-type limit is checked after upload
+    fileSize: fileTypes.maxFileSize()
   },
   fileFilter: (req, file, cb) => {
-    // Only allow PNG and JPG images
-    const allowedTypes = /jpeg|jpg|png/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
-    
-    if (extname && mimetype) {
+    if (lookupUploadType(req, file.originalname)) {
       cb(null, true);
+    } else if (isVoiceUpload(req)) {
+      cb(new Error('This recording format is not allowed'));
     } else {
-      cb(new Error('Only PNG and JPG images are allowed!'));
+      cb(new Error('This file type is not allowed'));
     }
   }
 });
 
+/**
+ * Is this upload a recorded voice message (/upload?voice=1)?
+ */
+function isVoiceUpload(req) {
+  return req.query.voice === '1';
+}
+
+/**
+ * Look up the type of an uploaded file (voice uploads only match voice types)
+ */
+function lookupUploadType(req, filename) {
+  return fileTypes.lookup(filename, isVoiceUpload(req) ? 'voice' : undefined);
+}
+
+/**
+ * Read the details the recorder sends along with a voice message
+ * Duration is in seconds; the waveform is a list of bar heights (0-100).
+ * A waveform that doesn't look right is dropped (the player shows flat bars).
+ */
+function parseVoiceDetails(body) {
+  const duration = parseFloat(body.duration);
+  let waveform = null;
+
+  try {
+    const bars = JSON.parse(body.waveform || 'null');
+    if (Array.isArray(bars) && bars.length <= VOICE_WAVEFORM_BARS &&
+        bars.every((bar) => Number.isInteger(bar) && bar >= 0 && bar <= 100)) {
+      waveform = bars;
+    }
+  } catch (error) {
+    // Not JSON: no waveform
+  }
+
+  return {
+    duration: isNaN(duration) ? 0 : Math.round(Math.min(Math.max(duration, 0), MAX_VOICE_DURATION) * 10) / 10,
+    waveform
+  };
+}
+
+/**
+ * Format a size in bytes for messages (e.g. "5 MB")
+ */
+function formatFileSize(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${Math.round(bytes / (1024 * 1024) * 10) / 10} MB`;
+  }
+  return `${Math.ceil(bytes / 1024)} KB`;
+}
+
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Serve uploaded images
-app.use('/uploads', express.static(uploadsDir));
+// Parse JSON request bodies (login/register)
+app.use(express.json({ limit: '10kb' }));
+
+/**
+ * Get the logged-in user for a request (null if not logged in)
+ */
+function getSessionUser(req) {
+  const userId = sessions.getUserId(sessions.getToken(req));
+  return userId ? userStore.getUserById(userId) : null;
+}
 
-// Handle image upload POST request
-app.post('/upload', upload.single('image'), (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No file uploaded' });
+/**
+ * Express middleware: only allow logged-in users
+ * Sets req.user to { id, username }
+ */
+function requireAuth(req, res, next) {
+  const user = getSessionUser(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Please log in first' });
   }
-  
-  // Return the image URL
-  res.json({ 
-    imageUrl: `/uploads/${req.file.filename}`,
-    filename: req.file.filename
+  req.user = user;
+  next();
+}
+
+/**
+ * Express middleware: only allow admins (see ADMIN_USERS)
+ * Use after requireAuth
+ */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_USERS.includes(req.user.username.toLowerCase())) {
+    return res.status(403).json({ error: 'Admins only' });
+  }
+  next();
+}
+
+/**
+ * Express middleware: rate limit a route per user and per IP
+ * Use after requireAuth
+ */
+function rateLimit(group) {
+  return (req, res, next) => {
+    const ip = getClientIp(req);
+
+    const blockedFor = strikeTracker.blockedFor([`user:${req.user.id}`]);
+    if (blockedFor > 0) {
+      res.set('Retry-After', String(blockedFor));
+      return res.status(429).json({ error: `Too many requests. Try again in ${Math.ceil(blockedFor / 60)} minute(s).` });
+    }
+
+    const refusedBy = checkRateLimit(group, `user:${req.user.id}`, ip);
+    if (refusedBy) {
+      if (isStrike(group, refusedBy)) {
+        strikeTracker.strike([`user:${req.user.id}`]);
+      }
+      res.set('Retry-After', '5');
+      return res.status(429).json({ error: 'You are doing that too fast. Please wait a moment.' });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Express middleware: rate limit logging in and registering
+ * Buckets are per username (from each IP) and per IP, since every attempt
+ * runs scrypt. Nobody is logged in yet, so there are no strikes.
+ */
+function rateLimitAuth(req, res, next) {
+  const ip = getClientIp(req);
+  const { username } = req.body || {};
+  const account = typeof username === 'string' ? username.toLowerCase() : '';
+
+  if (checkRateLimit('auth', `${ip}|${account}`, ip)) {
+    res.set('Retry-After', '10');
+    return res.status(429).json({ error: 'Too many attempts. Please wait a moment and try again.' });
+  }
+
+  next();
+}
+
+/**
+ * Start a session and send its cookie
+ */
+function startSession(req, res, user) {
+  const token = sessions.create(user.id);
+  const secure = req.secure || req.headers['x-forwarded-proto'] === 'https';
+  res.set('Set-Cookie', sessions.cookieHeader(token, secure));
+}
+
+// Create an account (and log in)
+app.post('/api/register', rateLimitAuth, async (req, res) => {
+  const { username, password } = req.body || {};
+
+  try {
+    const user = await userStore.createUser(username, password);
+    startSession(req, res, user);
+    res.json({ user });
+    console.log(`New account registered: ${user.username}`);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Log in with username and password
+app.post('/api/login', rateLimitAuth, async (req, res) => {
+  const { username, password } = req.body || {};
+
+  try {
+    const user = await userStore.authenticate(username, password);
+    if (!user) {
+      return res.status(401).json({ error: 'Wrong username or password' });
+    }
+
+    startSession(req, res, user);
+    res.json({ user });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Log out (ends the session)
+app.post('/api/logout', (req, res) => {
+  const token = sessions.getToken(req);
+  if (token) {
+    sessions.destroy(token);
+  }
+  res.set('Set-Cookie', sessions.cookieHeader(null));
+  res.json({ ok: true });
+});
+
+// Who am I? Used by the client to restore a login on page load
+app.get('/api/me', requireAuth, (req, res) => {
+  res.json({ user: req.user });
+});
+
+/**
+ * Check the upload quotas before storing `bytes` more for a user in a room
+ * Returns an error message, or null if the upload fits
+ */
+function checkUploadQuota(userId, roomId, bytes) {
+  if (UPLOAD_USER_QUOTA && uploadStore.getUserUsage(userId) + bytes > UPLOAD_USER_QUOTA) {
+    return `You have used your ${formatFileSize(UPLOAD_USER_QUOTA)} upload storage. Old files are removed over time.`;
+  }
+  if (UPLOAD_ROOM_QUOTA && uploadStore.getRoomUsage(roomId) + bytes > UPLOAD_ROOM_QUOTA) {
+    return `This room has used its ${formatFileSize(UPLOAD_ROOM_QUOTA)} upload storage.`;
+  }
+  return null;
+}
+
+/**
+ * Send an uploaded file, but only to members of the room it was shared in
+ * Only images, GIFs, video and audio are shown inline; the rest are downloads
+ */
+function sendUpload(req, res, thumbnail) {
+  const record = uploadStore.getUpload(req.params.id);
+  if (!record || (thumbnail && !record.thumbnailFilename)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  if (!isUserInRoom(req.user.id, record.roomId)) {
+    return res.status(403).json({ error: 'Join the room to see its files' });
+  }
+
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.set('Cache-Control', 'private, max-age=3600');
+
+  if (thumbnail) {
+    res.type('image/webp');
+    return res.sendFile(path.join(uploadsDir, record.thumbnailFilename));
+  }
+
+  if (!INLINE_FILE_CATEGORIES.includes(record.category)) {
+    res.attachment(record.name);
+  }
+  res.type(record.mimeType);
+  res.sendFile(path.join(uploadsDir, record.filename));
+}
+
+// Disk usage report for admins: upload storage per room
+app.get('/api/admin/uploads', requireAuth, requireAdmin, (req, res) => {
+  const rooms = uploadStore.getUsageByRoom();
+  res.json({
+    totalFiles: rooms.reduce((total, room) => total + room.files, 0),
+    totalBytes: rooms.reduce((total, room) => total + room.bytes, 0),
+    userQuota: UPLOAD_USER_QUOTA,
+    roomQuota: UPLOAD_ROOM_QUOTA,
+    retentionDays: UPLOAD_RETENTION_DAYS,
+    rooms: rooms.map((room) => Object.assign({}, room, {
+      activeUsers: Object.values(activeUsers).filter((u) => u.roomId === room.roomId).length
+    }))
+  });
+});
+
+// Serve uploaded files (and image thumbnails) by upload ID
+app.get('/uploads/:id', requireAuth, (req, res) => sendUpload(req, res, false));
+app.get('/uploads/:id/thumbnail', requireAuth, (req, res) => sendUpload(req, res, true));
+
+// Public room directory (?q= searches room names and topics)
+app.get('/api/rooms', requireAuth, (req, res) => {
+  const query = typeof req.query.q === 'string' ? req.query.q.trim().toLowerCase() : '';
+  const rooms = getRoomDirectory().filter((room) =>
+    !query || room.id.toLowerCase().includes(query) || room.topic.toLowerCase().includes(query)
+  );
+  res.json({ rooms });
+});
+
+// Details of one room
+// Unlisted and invite-only rooms are only visible to their members, owner,
+// moderators and invitees
+app.get('/api/rooms/:id', requireAuth, (req, res) => {
+  const room = roomStore.getRoom(req.params.id);
+  const userId = req.user.id;
+  const visible = room && (isListedRoom(room) || roomStore.getRole(room, userId) ||
+    isUserInRoom(userId, room.id) || room.invited.includes(userId));
+  if (!visible) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+
+  // One entry per person, even with several tabs open
+  const members = [];
+  getRoomUsers(room.id).forEach((u) => {
+    if (!members.some((m) => m.userId === u.userId)) {
+      members.push({ userId: u.userId, username: u.username, role: u.role });
+    }
+  });
+  const owner = userStore.getUserById(room.ownerId);
+
+  res.json({
+    room: {
+      id: room.id,
+      topic: room.topic || '',
+      owner: owner ? owner.username : null,
+      members,
+      hasPassword: !!room.passwordHash,
+      inviteOnly: room.inviteOnly,
+      listed: isListedRoom(room),
+      inCall: getRoomCallParticipants(room.id).length,
+      createdAt: room.createdAt
+    }
+  });
+});
+
+// Allowed file types and size limits (for checks before uploading)
+app.get('/api/file-types', requireAuth, (req, res) => {
+  res.json({ fileTypes: fileTypes.describe() });
+});
+
+// WebRTC configuration for calls (ICE/TURN servers)
+app.get('/api/rtc-config', requireAuth, (req, res) => {
+  // Credentials are short-lived, so never cache this response
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    iceServers: getIceServers(req.user.id),
+    ttl: TURN_TTL
+  });
+});
+
+// Handle file upload POST request (/upload?roomId=...)
+// Uploads belong to a room the uploader is in; the contents must match the type.
+// Images get their metadata stripped and a thumbnail before they are shared.
+// Voice messages use /upload?roomId=...&voice=1 with "duration" and "waveform" fields
+app.post('/upload', requireAuth, rateLimit('upload'), (req, res) => {
+  const { roomId } = req.query;
+  if (typeof roomId !== 'string' || !isUserInRoom(req.user.id, roomId)) {
+    return res.status(403).json({ error: 'Join the room before uploading files' });
+  }
+
+  // Refuse straight away if a quota is already used up
+  const quotaError = checkUploadQuota(req.user.id, roomId, 1);
+  if (quotaError) {
+    return res.status(413).json({ error: quotaError });
+  }
+
+  upload.single('file')(req, res, async (error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Files can be at most ${formatFileSize(fileTypes.maxFileSize())}`
+        : error.message;
+      return res.status(400).json({ error: message });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    // Each type has its own size limit
+    const fileType = lookupUploadType(req, req.file.originalname);
+    if (req.file.size > fileType.maxSize) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(400).json({
+        error: `${fileType.category.charAt(0).toUpperCase() + fileType.category.slice(1)} files can be at most ${formatFileSize(fileType.maxSize)}`
+      });
+    }
+
+    // Check the quotas again now that the size is known
+    const sizeQuotaError = checkUploadQuota(req.user.id, roomId, req.file.size);
+    if (sizeQuotaError) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(413).json({ error: sizeQuotaError });
+    }
+
+    // Check the magic bytes, not just the name the browser sent
+    let matches = false;
+    try {
+      matches = await matchesFileType(req.file.path, fileType.mimeType);
+    } catch (readError) {
+      console.error('Upload read error:', readError.message);
+    }
+    if (!matches) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(400).json({ error: 'The file contents do not match its type' });
+    }
+
+    const details = {
+      roomId: roomId,
+      userId: req.user.id,
+      filename: req.file.filename,
+      name: req.file.originalname.slice(0, 255),
+      size: req.file.size,
+      mimeType: fileType.mimeType,
+      category: fileType.category
+    };
+
+    if (fileType.category === 'image') {
+      try {
+        const image = await processImage(req.file.path);
+        details.size = image.size;
+        details.width = image.width;
+        details.height = image.height;
+        details.thumbnailFilename = image.thumbnailFilename;
+        details.thumbnailSize = image.thumbnailSize;
+      } catch (processError) {
+        console.error('Image processing error:', processError.message);
+        fs.unlink(req.file.path, () => {});
+        return res.status(400).json({ error: 'That image could not be read' });
+      }
+    }
+
+    if (fileType.category === 'voice') {
+      Object.assign(details, parseVoiceDetails(req.body));
+    }
+
+    const record = uploadStore.addUpload(details);
+
+    // Return the upload ID (used to share it) and details
+    res.json({
+      uploadId: record.id,
+      fileUrl: `/uploads/${record.id}`,
+      name: record.name,
+      size: record.size,
+      mimeType: record.mimeType,
+      category: record.category
+    });
   });
 });
 
 // Store active users (in memory, no database)
-// Format: { socketId: { username, roomId } }
+// Format: { socketId: { userId, username, roomId } }
 const activeUsers = {};
 
+/**
+ * Is a user in a room right now (in any of their tabs)?
+ */
+function isUserInRoom(userId, roomId) {
+  return Object.values(activeUsers).some((u) => u.userId === userId && u.roomId === roomId);
+}
+
+// Sockets on the join screen get live room directory updates in this channel
+// (room IDs can't contain ":", so no room can be named like it)
+const ROOM_DIRECTORY_CHANNEL = 'directory:rooms';
+
+// Directory updates are batched: rooms fill and empty in bursts
+const DIRECTORY_UPDATE_DELAY = 500;
+let directoryUpdateTimer = null;
+
+/**
+ * Is a room shown in the public room directory?
+ * Invite-only rooms and rooms that opted out are not
+ */
+function isListedRoom(room) {
+  return !!room && !room.inviteOnly && !room.unlisted;
+}
+
+/**
+ * Public rooms with people in them, busiest first
+ * Format: [{ id, topic, members, hasPassword }]
+ */
+function getRoomDirectory() {
+  const members = Object.create(null); // room IDs come from users
+  Object.values(activeUsers).forEach((u) => {
+    if (!members[u.roomId]) {
+      members[u.roomId] = new Set();
+    }
+    members[u.roomId].add(u.userId);
+  });
+
+  return Object.keys(members)
+    .map((roomId) => roomStore.getRoom(roomId))
+    .filter(isListedRoom)
+    .map((room) => ({
+      id: room.id,
+      topic: room.topic || '',
+      members: members[room.id].size,
+      hasPassword: !!room.passwordHash
+    }))
+    .sort((a, b) => b.members - a.members || a.id.localeCompare(b.id));
+}
+
+/**
+ * Send the room directory to everyone on the join screen (batched)
+ */
+function scheduleDirectoryUpdate() {
+  if (directoryUpdateTimer) {
+    return;
+  }
+  directoryUpdateTimer = setTimeout(() => {
+    directoryUpdateTimer = null;
+    io.to(ROOM_DIRECTORY_CHANNEL).emit('room-directory', getRoomDirectory());
+  }, DIRECTORY_UPDATE_DELAY);
+}
+
+// Sockets that dropped out of a room (network blip, not leaving on purpose)
+// Reconnecting within the grace period rejoins without the room password, and
+// call partners are told the new socket ID so the call can carry on.
+// Format: Map<old socketId, { userId, roomId }>
+const droppedSockets = new Map();
+const RECONNECT_GRACE = 60 * 1000;
+
+/**
+ * Check that a reconnecting socket is coming back to the room it dropped out of
+ * Each dropped socket can only be resumed once
+ */
+function takeDroppedSocket(previousSocketId, userId, roomId) {
+  const dropped = previousSocketId && droppedSockets.get(previousSocketId);
+  if (!dropped || dropped.userId !== userId || dropped.roomId !== roomId) {
+    return false;
+  }
+  droppedSockets.delete(previousSocketId);
+  return true;
+}
+
+/**
+ * Find the old socket of someone who reconnected before the server noticed
+ * their old connection was gone (e.g. after switching networks, which takes
+ * seconds, while a dead connection is only noticed after the ping timeout)
+ * Returns the old socket if it is still in the same room as the same user
+ */
+function findStaleSocket(socket, previousSocketId, userId, roomId) {
+  const stale = previousSocketId && previousSocketId !== socket.id && io.sockets.sockets.get(previousSocketId);
+  const member = stale && activeUsers[previousSocketId];
+  if (!member || member.userId !== userId || member.roomId !== roomId) {
+    return null;
+  }
+  return stale;
+}
+
+// 1:1 calls in progress, stored both ways (set when a call is accepted)
+// Format: Map<socketId, partner socketId>
+const callPartners = new Map();
+
+// 1:1 calls still ringing: only the socket called can accept or reject
+// Format: Map<caller socketId, called socketId>
+const callInvites = new Map();
+
+/**
+ * Forget the calls a socket is making or being offered
+ */
+function cancelCallInvites(socketId) {
+  callInvites.delete(socketId);
+  callInvites.forEach((calledSocketId, callerSocketId) => {
+    if (calledSocketId === socketId) {
+      callInvites.delete(callerSocketId);
+    }
+  });
+}
+
+/**
+ * Are two sockets in a 1:1 call with each other, or is one calling the other?
+ */
+function isCallPeer(socketId, otherSocketId) {
+  return callPartners.get(socketId) === otherSocketId ||
+    callInvites.get(socketId) === otherSocketId ||
+    callInvites.get(otherSocketId) === socketId;
+}
+
+/**
+ * Forget the 1:1 call a socket is in (for both sides)
+ */
+function endCallPairing(socketId) {
+  const partnerSocketId = callPartners.get(socketId);
+  if (partnerSocketId && callPartners.get(partnerSocketId) === socketId) {
+    callPartners.delete(partnerSocketId);
+  }
+  callPartners.delete(socketId);
+}
+
+/**
+ * Move a 1:1 call over to the new socket of someone who reconnected
+ */
+function moveCallPairing(previousSocketId, socketId) {
+  const partnerSocketId = callPartners.get(previousSocketId);
+  if (!partnerSocketId || callPartners.get(partnerSocketId) !== previousSocketId) {
+    return;
+  }
+  callPartners.delete(previousSocketId);
+  callPartners.set(socketId, partnerSocketId);
+  callPartners.set(partnerSocketId, socketId);
+}
+
+// Room-wide group calls (mesh: every participant connects to every other)
+// Format: { roomId: { socketId: { username, callType } } }
+const roomCalls = Object.create(null); // room IDs come from users
+const MAX_ROOM_CALL_PARTICIPANTS = 6;
+
+/**
+ * Get the list of participants in a room's group call
+ */
+function getRoomCallParticipants(roomId) {
+  const call = roomCalls[roomId] || {};
+  return Object.keys(call).map((sid) => ({
+    socketId: sid,
+    username: call[sid].username,
+    callType: call[sid].callType
+  }));
+}
+
+/**
+ * Remove a socket from its room's group call (if it is in one)
+ * Tells the remaining participants and the room about the change
+ */
+function leaveRoomCall(socket, roomId) {
+  const call = roomCalls[roomId];
+  if (!call || !call[socket.id]) {
+    return;
+  }
+
+  const { username } = call[socket.id];
+  delete call[socket.id];
+  if (Object.keys(call).length === 0) {
+    delete roomCalls[roomId];
+  }
+
+  Object.keys(call).forEach((sid) => {
+    io.to(sid).emit('room-call-participant-left', { socketId: socket.id, username });
+  });
+  io.to(roomId).emit('room-call-status', { participants: getRoomCallParticipants(roomId) });
+
+  console.log(`${username} left the call in room ${roomId}`);
+}
+
+/**
+ * Give the group-call place of someone who reconnected to their new socket
+ */
+function moveRoomCallPlace(roomId, previousSocketId, socketId) {
+  const call = roomCalls[roomId];
+  if (!call || !call[previousSocketId]) {
+    return;
+  }
+  call[socketId] = call[previousSocketId];
+  delete call[previousSocketId];
+}
+
+/**
+ * Are both sockets in the group call of this room?
+ * Group call signalling is only relayed between participants
+ */
+function inRoomCallTogether(roomId, socketId, otherSocketId) {
+  const call = roomCalls[roomId];
+  return !!call && !!call[socketId] && !!call[otherSocketId];
+}
+
+// Last message each user has read, per room (in memory)
+// Format: { roomId: { username: messageId } }
+const readPositions = Object.create(null); // room IDs and usernames come from users
+
+/**
+ * Get the read positions of the users currently in a room
+ */
+function getRoomReadReceipts(roomId) {
+  const positions = readPositions[roomId] || Object.create(null);
+  const receipts = Object.create(null);
+  Object.keys(activeUsers).forEach((sid) => {
+    const { username } = activeUsers[sid];
+    if (activeUsers[sid].roomId === roomId && positions[username]) {
+      receipts[username] = positions[username];
+    }
+  });
+  return receipts;
+}
+
+/**
+ * Save a system message (join/leave notification) to the room history
+ */
+function saveSystemMessage(roomId, message) {
+  messageStore.addMessage(roomId, {
+    id: crypto.randomUUID(),
+    type: 'system',
+    message: message,
+    timestamp: new Date().toLocaleTimeString()
+  });
+}
+
+/**
+ * Find the user behind a stored reaction
+ * Reactions are stored by user ID; messages from before that stored usernames
+ */
+function findReactionUser(entry) {
+  return userStore.getUserById(entry) || userStore.getUserByUsername(entry);
+}
+
+/**
+ * Reactions as stored (by user ID), with legacy usernames converted to IDs
+ * Format: { emoji: [userIds] }
+ */
+function getReactionUserIds(reactions) {
+  const result = {};
+  Object.keys(reactions || {}).forEach((emoji) => {
+    result[emoji] = reactions[emoji]
+      .map(findReactionUser)
+      .filter(Boolean)
+      .map((u) => u.id);
+  });
+  return result;
+}
+
+/**
+ * Reactions as sent to clients, with everyone's current username
+ * Format: { emoji: [{ userId, username }] }
+ */
+function describeReactions(reactions) {
+  const result = {};
+  Object.keys(reactions || {}).forEach((emoji) => {
+    result[emoji] = reactions[emoji]
+      .map(findReactionUser)
+      .filter(Boolean)
+      .map((u) => ({ userId: u.id, username: u.username }));
+  });
+  return result;
+}
+
+/**
+ * Prepare a stored message for sending to clients
+ * Adds a short preview of the parent (for replies) and the number of replies,
+ * computed fresh so edits and deletes of the parent are reflected, and the
+ * current names of the people who reacted
+ */
+function withThreadInfo(roomId, message) {
+  const result = Object.assign({}, message);
+
+  if (message.reactions) {
+    result.reactions = describeReactions(message.reactions);
+  }
+
+  if (message.replyTo) {
+    const parent = messageStore.getMessage(roomId, message.replyTo);
+    if (!parent || parent.deleted) {
+      result.replyPreview = { deleted: true };
+    } else {
+      result.replyPreview = {
+        username: parent.username,
+        message: getMessagePreview(parent)
+      };
+    }
+  }
+
+  if (message.type !== 'system') {
+    result.replyCount = messageStore.getReplyCount(roomId, message.id);
+  }
+
+  return result;
+}
+
+/**
+ * Get an upload made by this user for the room they are in that hasn't been
+ * shared yet (null otherwise)
+ */
+function getOwnUpload(user, uploadId) {
+  const record = uploadStore.getUpload(uploadId);
+  if (!record || record.userId !== user.userId || record.roomId !== user.roomId || record.shared) {
+    return null;
+  }
+  return record;
+}
+
+/**
+ * Short text describing a message (for reply previews)
+ */
+function getMessagePreview(message) {
+  if (message.type === 'image') {
+    return '📷 Image';
+  }
+  if (message.type === 'file') {
+    return `📎 ${message.fileName}`;
+  }
+  if (message.type === 'voice') {
+    return '🎤 Voice message';
+  }
+  return message.message.slice(0, 100);
+}
+
+/**
+ * Everyone in a room, with their role (for the users sidebar)
+ */
+function getRoomUsers(roomId) {
+  const room = roomStore.getRoom(roomId);
+  const roomUsers = [];
+  Object.keys(activeUsers).forEach((sid) => {
+    if (activeUsers[sid].roomId === roomId) {
+      roomUsers.push({
+        socketId: sid,
+        userId: activeUsers[sid].userId,
+        username: activeUsers[sid].username,
+        role: roomStore.getRole(room, activeUsers[sid].userId)
+      });
+    }
+  });
+  return roomUsers;
+}
+
+/**
+ * Put a socket into a room (after any password/invite checks)
+ * Sends the history to the joiner and tells everyone else
+ */
+function joinRoom(socket, roomId, previousSocketId = null) {
+  // The username always comes from the logged-in account, never the client
+  const { id: userId, username } = socket.data.user;
+  const room = roomStore.getRoom(roomId);
+
+  // A socket is in one room at a time: switching rooms leaves the current one
+  if (activeUsers[socket.id]) {
+    leaveRoom(socket, `${username} left the room`);
+  }
+
+  // Store user info
+  activeUsers[socket.id] = { userId, username, roomId };
+  
+  // Join the room (the directory is only needed on the join screen)
+  socket.join(roomId);
+  socket.leave(ROOM_DIRECTORY_CHANNEL);
+  
+  // Load recent history before recording this join
+  const history = messageStore.getHistory(roomId, HISTORY_LIMIT)
+    .map((message) => withThreadInfo(roomId, message));
+  
+  // Notify the user they joined successfully (with the room history and settings)
+  socket.emit('joined-room', {
+    username,
+    roomId,
+    history,
+    resumed: !!previousSocketId,
+    room: {
+      isOwner: !!room && room.ownerId === userId,
+      role: roomStore.getRole(room, userId),
+      topic: (room && room.topic) || '',
+      hasPassword: !!room && !!room.passwordHash,
+      inviteOnly: !!room && room.inviteOnly
+    }
+  });
+  socket.emit('command-list', commandRegistry.list(roomStore.getRole(room, userId)));
+  
+  // Notify others in the room that someone joined (a comeback after a drop is not news)
+  if (!previousSocketId) {
+    const joinMessage = `${username} joined the room`;
+    socket.to(roomId).emit('user-joined', {
+      username,
+      message: joinMessage
+    });
+    saveSystemMessage(roomId, joinMessage);
+  }
+
+  // Call partners still know our old socket ID
+  if (previousSocketId) {
+    moveCallPairing(previousSocketId, socket.id);
+    moveRoomCallPlace(roomId, previousSocketId, socket.id);
+    socket.to(roomId).emit('member-reconnected', {
+      previousSocketId,
+      socketId: socket.id,
+      username
+    });
+  }
+  
+  // Send updated user list to all users in room
+  io.to(roomId).emit('room-users-list', getRoomUsers(roomId));
+  io.to(roomId).emit('read-receipts', getRoomReadReceipts(roomId));
+  socket.emit('room-call-status', { participants: getRoomCallParticipants(roomId) });
+  scheduleDirectoryUpdate();
+  
+  console.log(`${username} joined room: ${roomId}`);
+}
+
+/**
+ * Take a socket out of its room (on disconnect, or when kicked or banned)
+ * Tells the rest of the room with `leaveMessage`; without one (a dropped connection
+ * that may come back) the leave is not announced and the group-call place is kept
+ */
+function leaveRoom(socket, leaveMessage) {
+  const user = activeUsers[socket.id];
+
+  if (leaveMessage) {
+    // Notify others in the room that user left
+    socket.to(user.roomId).emit('user-left', {
+      username: user.username,
+      message: leaveMessage
+    });
+    saveSystemMessage(user.roomId, leaveMessage);
+
+    // Leave the room's group call, if in one
+    leaveRoomCall(socket, user.roomId);
+  }
+  
+  // Clear any typing indicator left behind
+  socket.to(user.roomId).emit('user-typing', {
+    socketId: socket.id,
+    username: user.username,
+    isTyping: false
+  });
+  
+  // Remove user from active users first
+  delete activeUsers[socket.id];
+  socket.leave(user.roomId);
+  
+  // Send updated user list to remaining users in room
+  const roomUsers = getRoomUsers(user.roomId);
+  io.to(user.roomId).emit('room-users-list', roomUsers);
+  io.to(user.roomId).emit('read-receipts', getRoomReadReceipts(user.roomId));
+  scheduleDirectoryUpdate();
+
+  // Optionally drop a room's files once everyone has left
+  // (after the reconnect grace period, so a dropped connection doesn't wipe them)
+  if (UPLOAD_DELETE_EMPTY_ROOMS && roomUsers.length === 0) {
+    setTimeout(() => {
+      if (getRoomUsers(user.roomId).length > 0) {
+        return;
+      }
+      const removed = uploadSweeper.deleteRoomUploads(user.roomId);
+      if (removed > 0) {
+        console.log(`🧹 Removed ${removed} upload(s) from empty room: ${user.roomId}`);
+      }
+    }, RECONNECT_GRACE).unref();
+  }
+  
+  console.log(`${user.username} left room: ${user.roomId}`);
+}
+
+/**
+ * Check that a member of a room may moderate another member
+ * Owners can moderate anyone else; moderators only regular members.
+ * Returns { user, room, role, target, targetSockets } or null after telling
+ * the moderator why not
+ */
+function getModerationTarget(socket, targetUserId) {
+  const user = activeUsers[socket.id];
+  if (!user) {
+    return null;
+  }
+
+  const room = roomStore.getRoom(user.roomId);
+  const role = roomStore.getRole(room, user.userId);
+  if (!role) {
+    socket.emit('error', { message: 'Only the room owner and moderators can do that' });
+    return null;
+  }
+
+  // The target's sockets in this room (they may have several tabs open)
+  const targetSockets = Object.keys(activeUsers)
+    .filter((sid) => activeUsers[sid].roomId === user.roomId && activeUsers[sid].userId === targetUserId)
+    .map((sid) => io.sockets.sockets.get(sid))
+    .filter(Boolean);
+  if (targetSockets.length === 0) {
+    socket.emit('error', { message: 'That user is not in this room' });
+    return null;
+  }
+
+  const targetRole = roomStore.getRole(room, targetUserId);
+  if (targetUserId === user.userId || targetRole === 'owner' || (targetRole && role !== 'owner')) {
+    socket.emit('error', { message: 'You can\'t moderate that user' });
+    return null;
+  }
+
+  return { user, room, role, target: activeUsers[targetSockets[0].id], targetSockets };
+}
+
+/**
+ * Tell a room about a moderation action (also saved in the history)
+ */
+function announceModeration(roomId, message) {
+  saveSystemMessage(roomId, message);
+  io.to(roomId).emit('moderation-notice', { message });
+}
+
+/**
+ * Refuse a post from a muted user
+ * Returns true (after telling them) if the user is muted
+ */
+function isMuted(socket, user) {
+  const room = roomStore.getRoom(user.roomId);
+  const mutedUntil = room ? roomStore.getMutedUntil(room, user.userId) : 0;
+  if (!mutedUntil) {
+    return false;
+  }
+
+  const minutes = Math.ceil((mutedUntil - Date.now()) / 60000);
+  socket.emit('error', { message: `You are muted in this room for ${minutes} more minute(s)` });
+  return true;
+}
+
+/**
+ * Remove a user's sockets from their room (kick or ban)
+ */
+function removeFromRoom(targetSockets, roomId, notice, leaveMessage) {
+  targetSockets.forEach((targetSocket) => {
+    targetSocket.emit('kicked', { roomId, message: notice });
+    leaveRoom(targetSocket, leaveMessage);
+  });
+}
+
+/**
+ * Make a member a moderator, or take it away (owner only)
+ */
+function setModerator(socket, userId, moderator) {
+  const moderation = getModerationTarget(socket, userId);
+  if (!moderation) {
+    return;
+  }
+
+  const { user, room, role, target, targetSockets } = moderation;
+  if (role !== 'owner') {
+    socket.emit('error', { message: 'Only the room owner can choose moderators' });
+    return;
+  }
+
+  roomStore.setModerator(room, userId, moderator);
+
+  const newRole = moderator ? 'moderator' : null;
+  targetSockets.forEach((targetSocket) => {
+    targetSocket.emit('room-role', { role: newRole });
+    targetSocket.emit('command-list', commandRegistry.list(newRole));
+  });
+  announceModeration(user.roomId, moderator
+    ? `${target.username} is now a moderator`
+    : `${target.username} is no longer a moderator`);
+  io.to(user.roomId).emit('room-users-list', getRoomUsers(user.roomId));
+
+  console.log(`${user.username} ${moderator ? 'promoted' : 'demoted'} ${target.username} in room ${user.roomId}`);
+}
+
+/**
+ * Kick a member out of the room (they can join again)
+ */
+function kickUser(socket, userId) {
+  const moderation = getModerationTarget(socket, userId);
+  if (!moderation) {
+    return;
+  }
+
+  const { user, target, targetSockets } = moderation;
+  removeFromRoom(targetSockets, user.roomId,
+    `You were kicked from room "${user.roomId}" by ${user.username}`,
+    `${target.username} was kicked by ${user.username}`);
+
+  console.log(`${user.username} kicked ${target.username} from room ${user.roomId}`);
+}
+
+/**
+ * Mute a member for a number of minutes (0 unmutes them)
+ */
+function muteUser(socket, userId, minutes) {
+  const moderation = getModerationTarget(socket, userId);
+  if (!moderation) {
+    return;
+  }
+
+  const { user, room, target } = moderation;
+  roomStore.muteUser(room, userId, minutes);
+
+  announceModeration(user.roomId, minutes > 0
+    ? `${target.username} was muted for ${minutes} minute(s) by ${user.username}`
+    : `${target.username} was unmuted by ${user.username}`);
+
+  console.log(`${user.username} muted ${target.username} in room ${user.roomId} for ${minutes} minute(s)`);
+}
+
+/**
+ * Ban a member's account from the room (and their IP address if byIp)
+ */
+function banUser(socket, userId, byIp) {
+  const moderation = getModerationTarget(socket, userId);
+  if (!moderation) {
+    return;
+  }
+
+  const { user, room, target, targetSockets } = moderation;
+  roomStore.banUser(room, {
+    userId,
+    username: target.username,
+    ip: byIp ? targetSockets[0].data.ip : null,
+    bannedBy: user.userId
+  });
+  removeFromRoom(targetSockets, user.roomId,
+    `You were banned from room "${user.roomId}" by ${user.username}`,
+    `${target.username} was banned by ${user.username}`);
+
+  console.log(`${user.username} banned ${target.username}${byIp ? ' (and their IP)' : ''} from room ${user.roomId}`);
+}
+
+/**
+ * Post a text message to the sender's room
+ * Options: { replyTo, action } (action marks a "/me" message)
+ */
+function postTextMessage(socket, user, message, { replyTo, action } = {}) {
+  if (isMuted(socket, user)) {
+    return;
+  }
+
+  // Replies must point at an existing message in the same room
+  if (replyTo) {
+    const parent = messageStore.getMessage(user.roomId, replyTo);
+    if (!parent || parent.type === 'system' || parent.deleted) {
+      socket.emit('error', { message: 'The message you are replying to no longer exists' });
+      return;
+    }
+  }
+
+  // Create message object with timestamp
+  const messageData = {
+    id: crypto.randomUUID(),
+    type: 'text',
+    userId: user.userId,
+    username: user.username,
+    message: message.trim(),
+    timestamp: new Date().toLocaleTimeString()
+  };
+  if (replyTo) {
+    messageData.replyTo = replyTo;
+  }
+  if (action) {
+    messageData.action = true;
+  }
+
+  messageStore.addMessage(user.roomId, messageData);
+
+  // Send message to everyone in the same room (including sender)
+  io.to(user.roomId).emit('receive-message', withThreadInfo(user.roomId, messageData));
+  
+  console.log(`Message in room ${user.roomId} from ${user.username}: ${message}`);
+}
+
+/**
+ * Change a user's username everywhere they are connected (for /nick)
+ * Messages they already sent keep the old name.
+ */
+function renameMember(socket, newUsername) {
+  const { id: userId, username: oldUsername } = socket.data.user;
+  const { username } = userStore.renameUser(userId, newUsername);
+
+  // All of the user's tabs, and the rooms they are in
+  const roomIds = new Set();
+  io.sockets.sockets.forEach((s) => {
+    if (s.data.user && s.data.user.id === userId) {
+      s.data.user.username = username;
+    }
+  });
+  Object.keys(activeUsers).forEach((sid) => {
+    const member = activeUsers[sid];
+    if (member.userId !== userId) {
+      return;
+    }
+    member.username = username;
+    roomIds.add(member.roomId);
+    if (roomCalls[member.roomId] && roomCalls[member.roomId][sid]) {
+      roomCalls[member.roomId][sid].username = username;
+    }
+  });
+
+  const message = `${oldUsername} is now known as ${username}`;
+  roomIds.forEach((roomId) => {
+    // Read receipts are kept by username
+    const positions = readPositions[roomId];
+    if (positions && Object.prototype.hasOwnProperty.call(positions, oldUsername)) {
+      positions[username] = positions[oldUsername];
+      delete positions[oldUsername];
+    }
+
+    saveSystemMessage(roomId, message);
+    io.to(roomId).emit('room-users-list', getRoomUsers(roomId));
+    io.to(roomId).emit('read-receipts', getRoomReadReceipts(roomId));
+  });
+
+  // Everyone in those rooms, and the user's own tabs (once each)
+  io.to([...roomIds, `user:${userId}`]).emit('user-renamed', { userId, oldUsername, username, message });
+
+  console.log(`${oldUsername} renamed to ${username}`);
+}
+
+// Slash commands typed in the message box (see lib/commands.js)
+const commandRegistry = createCommandRegistry();
+
+// Longest room topic
+const MAX_TOPIC_LENGTH = 200;
+
+/**
+ * Reply privately to the person who ran a command
+ */
+function replyToCommand(socket, message) {
+  socket.emit('command-result', { message });
+}
+
+/**
+ * Find someone in a room by username (any case)
+ */
+function findRoomMember(roomId, username) {
+  const name = username.toLowerCase();
+  return Object.values(activeUsers).find(
+    (u) => u.roomId === roomId && u.username.toLowerCase() === name
+  ) || null;
+}
+
+/**
+ * Register a command that acts on "@user" in the room
+ * action(socket, userId, rest) gets the member's user ID and any text after the name
+ */
+function registerMemberCommand(command, action) {
+  commandRegistry.register(Object.assign({}, command, {
+    run({ socket, user }, args) {
+      const { username, rest } = parseMention(args);
+      if (!username) {
+        replyToCommand(socket, `Usage: ${command.usage}`);
+        return;
+      }
+
+      const member = findRoomMember(user.roomId, username);
+      if (!member) {
+        replyToCommand(socket, `No one named "${username}" is in this room`);
+        return;
+      }
+      action(socket, member.userId, rest);
+    }
+  }));
+}
+
+// Handled by the browser, listed for /help and autocomplete
+commandRegistry.register({ name: 'help', usage: '/help', description: 'List the commands you can use', permission: 'member' });
+commandRegistry.register({ name: 'clear', usage: '/clear', description: 'Clear the messages on your screen', permission: 'member' });
+commandRegistry.register({ name: 'call', usage: '/call @user [video]', description: 'Call someone in the room', permission: 'member' });
+
+commandRegistry.register({
+  name: 'me',
+  usage: '/me <action>',
+  description: 'Say what you are doing, e.g. "/me waves"',
+  permission: 'member',
+  run({ socket, user }, args) {
+    if (!args.trim()) {
+      replyToCommand(socket, 'Usage: /me <action>');
+      return;
+    }
+    postTextMessage(socket, user, args, { action: true });
+  }
+});
+
+commandRegistry.register({
+  name: 'nick',
+  usage: '/nick <new username>',
+  description: 'Change your username',
+  permission: 'member',
+  run({ socket }, args) {
+    try {
+      renameMember(socket, args.trim());
+    } catch (error) {
+      replyToCommand(socket, error.message);
+    }
+  }
+});
+
+commandRegistry.register({
+  name: 'topic',
+  usage: '/topic [text]',
+  description: 'Set the room topic (leave empty to clear it)',
+  permission: 'moderator',
+  run({ socket, user, room }, args) {
+    const topic = args.trim().replace(/\s+/g, ' ');
+    if (topic.length > MAX_TOPIC_LENGTH) {
+      replyToCommand(socket, `Topics can be at most ${MAX_TOPIC_LENGTH} characters`);
+      return;
+    }
+
+    roomStore.setTopic(room, topic);
+
+    const message = topic
+      ? `${user.username} set the topic to "${topic}"`
+      : `${user.username} cleared the topic`;
+    saveSystemMessage(user.roomId, message);
+    io.to(user.roomId).emit('room-topic', { topic, message });
+    scheduleDirectoryUpdate();
+  }
+});
+
+commandRegistry.register({
+  name: 'listing',
+  usage: '/listing on|off',
+  description: 'Show or hide this room in the public room directory',
+  permission: 'owner',
+  run({ socket, room }, args) {
+    const setting = args.trim().toLowerCase();
+    if (setting !== 'on' && setting !== 'off') {
+      replyToCommand(socket, `This room is ${room.unlisted ? 'hidden from' : 'listed in'} the room directory. Usage: /listing on|off`);
+      return;
+    }
+
+    roomStore.setUnlisted(room, setting === 'off');
+    replyToCommand(socket, setting === 'on'
+      ? (room.inviteOnly ? 'Listing is on, but invite-only rooms are never shown in the room directory' : 'This room is now listed in the room directory')
+      : 'This room is now hidden from the room directory');
+    scheduleDirectoryUpdate();
+  }
+});
+
+registerMemberCommand({
+  name: 'kick',
+  usage: '/kick @user',
+  description: 'Remove someone from the room',
+  permission: 'moderator'
+}, (socket, userId) => kickUser(socket, userId));
+
+registerMemberCommand({
+  name: 'mute',
+  usage: '/mute @user [minutes]',
+  description: 'Stop someone posting for a while (10 minutes by default)',
+  permission: 'moderator'
+}, (socket, userId, rest) => {
+  const minutes = rest ? Number(rest) : 10;
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > 7 * 24 * 60) {
+    replyToCommand(socket, 'Mute for 1 to 10080 minutes (a week)');
+    return;
+  }
+  muteUser(socket, userId, minutes);
+});
+
+registerMemberCommand({
+  name: 'unmute',
+  usage: '/unmute @user',
+  description: 'Let someone post again',
+  permission: 'moderator'
+}, (socket, userId) => muteUser(socket, userId, 0));
+
+registerMemberCommand({
+  name: 'ban',
+  usage: '/ban @user',
+  description: 'Ban someone from the room',
+  permission: 'moderator'
+}, (socket, userId) => banUser(socket, userId, false));
+
+registerMemberCommand({
+  name: 'banip',
+  usage: '/banip @user',
+  description: 'Ban someone and their IP address from the room',
+  permission: 'moderator'
+}, (socket, userId) => banUser(socket, userId, true));
+
+registerMemberCommand({
+  name: 'mod',
+  usage: '/mod @user',
+  description: 'Make someone a moderator',
+  permission: 'owner'
+}, (socket, userId) => setModerator(socket, userId, true));
+
+registerMemberCommand({
+  name: 'unmod',
+  usage: '/unmod @user',
+  description: 'Take away someone\'s moderator role',
+  permission: 'owner'
+}, (socket, userId) => setModerator(socket, userId, false));
+
+// Only logged-in users can connect
+// The session cookie is sent with the Socket.IO handshake
+io.use((socket, next) => {
+  const user = getSessionUser(socket.request);
+  if (!user) {
+    return next(new Error('Not authenticated'));
+  }
+
+  // Users disconnected for flooding have to wait
+  const ip = getClientIp(socket.request);
+  const blockedFor = strikeTracker.blockedFor([`user:${user.id}`]);
+  if (blockedFor > 0) {
+    const error = new Error('Too many requests');
+    error.data = { retryAfter: blockedFor };
+    return next(error);
+  }
+
+  socket.data.user = user;
+  socket.data.ip = ip;
+  next();
+});
+
+/**
+ * Rate limit every event a socket sends (see RATE_LIMITS)
+ * Refused events are dropped and the client gets a 'rate-limited' event.
+ * Too many refusals disconnect the client for a while.
+ */
+function limitSocketEvents(socket) {
+  const { id: userId } = socket.data.user;
+  const { ip } = socket.data;
+  let lastWarning = 0;
+
+  socket.use(([event], next) => {
+    const group = SOCKET_EVENT_GROUPS[event] || 'chat';
+    const refusedBy = checkRateLimit(group, socket.id, ip);
+    if (!refusedBy) {
+      return next();
+    }
+
+    // Only the user's own flooding counts (see isStrike)
+    if (isStrike(group, refusedBy) && strikeTracker.strike([`user:${userId}`])) {
+      const retryAfter = strikeTracker.blockedFor([`user:${userId}`]);
+      console.log(`⛔ ${socket.data.user.username} (${ip}) disconnected for flooding`);
+      socket.emit('rate-limited', {
+        event,
+        retryAfter,
+        disconnected: true,
+        message: `You were disconnected for sending too much. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+      });
+      socket.disconnect(true);
+      return;
+    }
+
+    // Warn at most once a second, the dropped events themselves are silent
+    // (automatic events are never worth a warning)
+    if (RATE_LIMITS[group].strikes !== false && Date.now() - lastWarning > 1000) {
+      lastWarning = Date.now();
+      socket.emit('rate-limited', {
+        event,
+        message: 'You are doing that too fast. Please slow down.'
+      });
+    }
+  });
+}
+
+/**
+ * Check every event a socket sends against its schema (see lib/socket-schemas.js)
+ * Invalid events never reach their handler; the client gets an
+ * 'invalid-payload' event saying what was wrong.
+ */
+function validateSocketEvents(socket) {
+  // Checks that need to know who is where
+  const checks = {
+    // Targets of calls and signalling must be someone else in the sender's room
+    inSameRoom(targetSocketId) {
+      const user = activeUsers[socket.id];
+      const target = Object.prototype.hasOwnProperty.call(activeUsers, targetSocketId)
+        ? activeUsers[targetSocketId]
+        : null;
+      if (!user || !target || target.roomId !== user.roomId || targetSocketId === socket.id) {
+        return 'That user is not in this room';
+      }
+      return null;
+    },
+    // A room named like a socket ID would receive that socket's private events
+    notSocketId(roomId) {
+      return io.sockets.sockets.has(roomId) ? 'That room ID is not allowed' : null;
+    }
+  };
+
+  socket.use(([event, ...args], next) => {
+    const error = validateEvent(event, args, checks);
+    if (!error) {
+      return next();
+    }
+    socket.emit('invalid-payload', { event, message: error });
+  });
+}
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
 
+  limitSocketEvents(socket);
+  validateSocketEvents(socket);
+
+  // Each socket also joins a personal channel, so we can reach all of a user's tabs
+  socket.join(`user:${socket.data.user.id}`);
+
+  // Until they join a room, show them the room directory (and keep it up to date)
+  socket.join(ROOM_DIRECTORY_CHANNEL);
+  socket.emit('room-directory', getRoomDirectory());
+
   // Handle user joining a room
-  socket.on('join-room', (data) => {
-    const { username, roomId } = data;
-    
-    // Validate input
-    if (!username || !roomId) {
-      socket.emit('join-error', { message: 'Username and Room ID are required!' });
+  // Password-protected and invite-only rooms are checked before joining
+  // previousSocketId is sent when coming back after a dropped connection
+  socket.on('join-room', async (data) => {
+    const { roomId, password, previousSocketId } = data;
+    const { id: userId } = socket.data.user;
+
+    // The first person to join a room becomes its owner
+    const room = roomStore.claimRoom(roomId, userId);
+
+    if (roomStore.isBanned(room, userId, socket.data.ip)) {
+      socket.emit('join-error', { reason: 'banned', message: 'You are banned from this room.' });
+      return;
+    }
+    if (!roomStore.isInvited(room, userId)) {
+      socket.emit('join-error', { reason: 'invite-only', message: 'This room is invite-only. Ask the owner to invite you.' });
       return;
     }
 
-    // Store user info
-    activeUsers[socket.id] = { username, roomId };
-    
-    // Join the room
-    socket.join(roomId);
-    
-    // Notify the user they joined successfully
-    socket.emit('joined-room', { username, roomId });
-    
-    // Notify others in the room that someone joined
-    socket.to(roomId).emit('user-joined', {
-      username,
-      message: `${username} joined the room`
-    });
-    
-    // Send updated user list to all users in room
-    const roomUsers = [];
-    Object.keys(activeUsers).forEach((sid) => {
-      if (activeUsers[sid].roomId === roomId) {
-        roomUsers.push({
-          socketId: sid,
-          username: activeUsers[sid].username
-        });
+    // The owner never needs the password, nor does someone who just dropped out
+    // (whether or not the server has noticed their old connection is gone yet)
+    const staleSocket = findStaleSocket(socket, previousSocketId, userId, roomId);
+    const resumed = !!staleSocket || takeDroppedSocket(previousSocketId, userId, roomId);
+    if (room.passwordHash && room.ownerId !== userId && !resumed) {
+      if (!password) {
+        socket.emit('join-error', { reason: 'password-required', message: 'This room needs a password.' });
+        return;
       }
+      if (!(await roomStore.checkPassword(room, password))) {
+        socket.emit('join-error', { reason: 'wrong-password', message: 'Wrong room password.' });
+        return;
+      }
+    }
+
+    joinRoom(socket, roomId, resumed ? previousSocketId : null);
+
+    // Drop the dead connection only now, so its call has moved to the new socket
+    if (staleSocket) {
+      staleSocket.data.replaced = true;
+      staleSocket.disconnect(true);
+    }
+  });
+
+  // Handle creating a new room with an optional password or invite-only flag
+  // The creator becomes the owner and joins straight away
+  socket.on('create-room', async (data) => {
+    const { roomId, password, inviteOnly, unlisted } = data;
+    const { id: userId, username } = socket.data.user;
+
+    // Rooms that already exist (or are in use) can't be claimed
+    const inUse = Object.values(activeUsers).some((u) => u.roomId === roomId);
+    if (roomStore.getRoom(roomId) || inUse) {
+      socket.emit('join-error', { reason: 'room-exists', message: 'That room already exists. Pick another room ID.' });
+      return;
+    }
+
+    try {
+      await roomStore.createRoom(roomId, userId, { password, inviteOnly, unlisted });
+    } catch (error) {
+      socket.emit('join-error', { reason: 'room-exists', message: error.message });
+      return;
+    }
+
+    console.log(`${username} created room: ${roomId}${password ? ' (password)' : ''}${inviteOnly ? ' (invite-only)' : ''}${unlisted ? ' (unlisted)' : ''}`);
+    joinRoom(socket, roomId);
+  });
+
+  // Handle inviting a user to an invite-only room (owner only)
+  socket.on('invite-to-room', (data) => {
+    const user = activeUsers[socket.id];
+    if (!user) {
+      return;
+    }
+
+    const room = roomStore.getRoom(user.roomId);
+    if (!room || room.ownerId !== user.userId) {
+      socket.emit('error', { message: 'Only the room owner can invite people' });
+      return;
+    }
+
+    const invitee = userStore.getUserByUsername(data.username);
+    if (!invitee) {
+      socket.emit('error', { message: `No user named "${data.username}"` });
+      return;
+    }
+
+    roomStore.inviteUser(user.roomId, invitee.id);
+
+    // Let the invitee know (in any tab they have open)
+    io.to(`user:${invitee.id}`).emit('room-invite', {
+      roomId: user.roomId,
+      fromUsername: user.username
     });
-    io.to(roomId).emit('room-users-list', roomUsers);
-    
-    console.log(`${username} joined room: ${roomId}`);
+    socket.emit('room-invite-sent', { username: invitee.username });
+
+    console.log(`${user.username} invited ${invitee.username} to room ${user.roomId}`);
+  });
+
+  // Moderation (owner and moderators, see getModerationTarget)
+  socket.on('set-moderator', (data) => setModerator(socket, data.userId, data.moderator));
+  socket.on('kick-user', (data) => kickUser(socket, data.userId));
+  socket.on('mute-user', (data) => muteUser(socket, data.userId, data.minutes));
+  socket.on('ban-user', (data) => banUser(socket, data.userId, !!data.byIp));
+
+  // Handle slash commands typed in the message box (see lib/commands.js)
+  socket.on('run-command', async (data) => {
+    const user = activeUsers[socket.id];
+    if (!user) {
+      socket.emit('error', { message: 'You must join a room first!' });
+      return;
+    }
+
+    const room = roomStore.getRoom(user.roomId);
+    const context = { socket, user, room, role: roomStore.getRole(room, user.userId) };
+
+    try {
+      const error = await commandRegistry.run(data.name, context, data.args);
+      if (error) {
+        replyToCommand(socket, error);
+      }
+    } catch (error) {
+      console.error(`Command /${data.name} failed:`, error);
+      replyToCommand(socket, `/${data.name} failed. Please try again.`);
+    }
   });
 
   // Handle text messages
@@ -130,26 +1841,57 @@ io.on('connection', (socket) => {
       return;
     }
 
-    const { message } = data;
+    const { message, replyTo } = data;
     
     if (!message || message.trim() === '') {
       return;
     }
 
-    // Create message object with timestamp
-    const messageData = {
-      username: user.username,
+    postTextMessage(socket, user, message, { replyTo });
+  });
+
+  // Handle private messages to another member of the room
+  // Delivered only to the recipient's sockets (and the sender's other tabs), never stored
+  socket.on('send-direct-message', (data) => {
+    const sender = activeUsers[socket.id];
+
+    if (!sender) {
+      socket.emit('error', { message: 'You must join a room first!' });
+      return;
+    }
+
+    const { toUserId, message } = data;
+
+    if (message.trim() === '') {
+      return;
+    }
+
+    // The recipient must be in the same room
+    const recipient = Object.values(activeUsers).find(
+      (u) => u.userId === toUserId && u.roomId === sender.roomId
+    );
+    if (!recipient || recipient.userId === sender.userId) {
+      socket.emit('error', { message: 'That user is not in this room any more' });
+      return;
+    }
+
+    const directMessage = {
+      id: crypto.randomUUID(),
+      fromUserId: sender.userId,
+      fromUsername: sender.username,
+      toUserId: recipient.userId,
+      toUsername: recipient.username,
       message: message.trim(),
       timestamp: new Date().toLocaleTimeString()
     };
 
-    // Send message to everyone in the same room (including sender)
-    io.to(user.roomId).emit('receive-message', messageData);
-    
-    console.log(`Message in room ${user.roomId} from ${user.username}: ${message}`);
+    io.to(`user:${recipient.userId}`).to(`user:${sender.userId}`).emit('direct-message', directMessage);
+
+    console.log(`Direct message in room ${sender.roomId} from ${sender.username} to ${recipient.username}`);
   });
 
   // Handle image messages (image already uploaded, just broadcast the URL)
+  // Only images this user uploaded to this room can be shared (by upload ID)
   socket.on('send-image', (data) => {
     const user = activeUsers[socket.id];
     
@@ -158,25 +1900,352 @@ io.on('connection', (socket) => {
       return;
     }
 
-    const { imageUrl } = data;
+    if (isMuted(socket, user)) {
+      return;
+    }
+
+    const { uploadId } = data;
+    const record = getOwnUpload(user, uploadId);
     
-    if (!imageUrl) {
+    if (!record || record.category !== 'image') {
+      socket.emit('error', { message: 'That image could not be found. Please upload it again.' });
       return;
     }
 
     // Create image message object with timestamp
     const imageData = {
+      id: crypto.randomUUID(),
+      type: 'image',
+      userId: user.userId,
       username: user.username,
-      imageUrl: imageUrl,
+      uploadId: record.id,
+      imageUrl: `/uploads/${record.id}`,
+      thumbnailUrl: `/uploads/${record.id}/thumbnail`,
+      width: record.width,
+      height: record.height,
       timestamp: new Date().toLocaleTimeString()
     };
 
     // Send image to everyone in the same room (including sender)
     io.to(user.roomId).emit('receive-image', imageData);
+    messageStore.addMessage(user.roomId, imageData);
+    uploadStore.markShared(record.id, imageData.id);
     
     console.log(`Image shared in room ${user.roomId} by ${user.username}`);
   });
 
+  // Handle file messages (file already uploaded, just broadcast its details)
+  // Name, type and size come from the upload record, never from the client
+  socket.on('send-file', (data) => {
+    const user = activeUsers[socket.id];
+
+    if (!user) {
+      socket.emit('error', { message: 'You must join a room first!' });
+      return;
+    }
+
+    if (isMuted(socket, user)) {
+      return;
+    }
+
+    const { uploadId } = data;
+    const record = getOwnUpload(user, uploadId);
+
+    if (!record || record.category === 'image' || record.category === 'voice') {
+      socket.emit('error', { message: 'That file could not be found. Please upload it again.' });
+      return;
+    }
+
+    // Create file message object with timestamp
+    const fileData = {
+      id: crypto.randomUUID(),
+      type: 'file',
+      userId: user.userId,
+      username: user.username,
+      uploadId: record.id,
+      fileUrl: `/uploads/${record.id}`,
+      fileName: record.name,
+      fileSize: record.size,
+      mimeType: record.mimeType,
+      timestamp: new Date().toLocaleTimeString()
+    };
+
+    // Send file to everyone in the same room (including sender)
+    io.to(user.roomId).emit('receive-file', fileData);
+    messageStore.addMessage(user.roomId, fileData);
+    uploadStore.markShared(record.id, fileData.id);
+
+    console.log(`File shared in room ${user.roomId} by ${user.username}: ${record.name}`);
+  });
+
+  // Handle voice messages (recording already uploaded with ?voice=1)
+  // Duration and waveform were stored with the upload
+  socket.on('send-voice', (data) => {
+    const user = activeUsers[socket.id];
+
+    if (!user) {
+      socket.emit('error', { message: 'You must join a room first!' });
+      return;
+    }
+
+    if (isMuted(socket, user)) {
+      return;
+    }
+
+    const { uploadId } = data;
+    const record = getOwnUpload(user, uploadId);
+
+    if (!record || record.category !== 'voice') {
+      socket.emit('error', { message: 'That recording could not be found. Please record it again.' });
+      return;
+    }
+
+    const voiceData = {
+      id: crypto.randomUUID(),
+      type: 'voice',
+      userId: user.userId,
+      username: user.username,
+      uploadId: record.id,
+      audioUrl: `/uploads/${record.id}`,
+      mimeType: record.mimeType,
+      duration: record.duration,
+      waveform: record.waveform,
+      timestamp: new Date().toLocaleTimeString()
+    };
+
+    // Send the voice message to everyone in the same room (including sender)
+    io.to(user.roomId).emit('receive-voice', voiceData);
+    messageStore.addMessage(user.roomId, voiceData);
+    uploadStore.markShared(record.id, voiceData.id);
+
+    console.log(`Voice message shared in room ${user.roomId} by ${user.username}`);
+  });
+
+  // Handle editing a text message (only the author can edit)
+  socket.on('edit-message', (data) => {
+    const user = activeUsers[socket.id];
+    
+    if (!user) {
+      socket.emit('error', { message: 'You must join a room first!' });
+      return;
+    }
+
+    if (isMuted(socket, user)) {
+      return;
+    }
+
+    const { messageId, message } = data;
+    
+    if (!message || message.trim() === '') {
+      return;
+    }
+
+    const original = messageStore.getMessage(user.roomId, messageId);
+    if (!original || original.type !== 'text' || original.deleted) {
+      socket.emit('error', { message: 'Message not found' });
+      return;
+    }
+    if (original.userId !== user.userId) {
+      socket.emit('error', { message: 'You can only edit your own messages' });
+      return;
+    }
+
+    const updated = messageStore.updateMessage(user.roomId, messageId, {
+      message: message.trim(),
+      edited: true
+    });
+
+    io.to(user.roomId).emit('message-edited', {
+      messageId: updated.id,
+      message: updated.message
+    });
+    
+    console.log(`Message ${messageId} edited in room ${user.roomId} by ${user.username}`);
+  });
+
+  // Handle deleting a text or image message (only the author can delete)
+  socket.on('delete-message', (data) => {
+    const user = activeUsers[socket.id];
+    
+    if (!user) {
+      socket.emit('error', { message: 'You must join a room first!' });
+      return;
+    }
+
+    const { messageId } = data;
+
+    const original = messageStore.getMessage(user.roomId, messageId);
+    if (!original || original.type === 'system' || original.deleted) {
+      socket.emit('error', { message: 'Message not found' });
+      return;
+    }
+    if (original.userId !== user.userId) {
+      socket.emit('error', { message: 'You can only delete your own messages' });
+      return;
+    }
+
+    // The file was only shared in this message, so it goes too
+    const { uploadId } = original;
+
+    // Keep a tombstone so the message position stays in the history
+    messageStore.updateMessage(user.roomId, messageId, {
+      message: undefined,
+      uploadId: undefined,
+      imageUrl: undefined,
+      thumbnailUrl: undefined,
+      width: undefined,
+      height: undefined,
+      fileUrl: undefined,
+      fileName: undefined,
+      fileSize: undefined,
+      mimeType: undefined,
+      audioUrl: undefined,
+      duration: undefined,
+      waveform: undefined,
+      reactions: undefined,
+      deleted: true
+    });
+
+    if (uploadId) {
+      uploadSweeper.deleteUpload(uploadId);
+    }
+
+    io.to(user.roomId).emit('message-deleted', { messageId });
+    
+    console.log(`Message ${messageId} deleted in room ${user.roomId} by ${user.username}`);
+  });
+
+  // Handle adding an emoji reaction to a message
+  // Reactions are stored as { emoji: [userIds] } on the message
+  socket.on('add-reaction', (data) => {
+    const user = activeUsers[socket.id];
+    if (!user) {
+      return;
+    }
+
+    const { messageId, emoji } = data;
+
+    const original = messageStore.getMessage(user.roomId, messageId);
+    if (!original || original.type === 'system' || original.deleted) {
+      socket.emit('error', { message: 'Message not found' });
+      return;
+    }
+
+    const reactions = getReactionUserIds(original.reactions);
+    const users = reactions[emoji] || [];
+    
+    if (users.includes(user.userId)) {
+      return;
+    }
+    if (!reactions[emoji] && Object.keys(reactions).length >= MAX_REACTIONS_PER_MESSAGE) {
+      socket.emit('error', { message: 'This message has too many different reactions' });
+      return;
+    }
+
+    reactions[emoji] = users.concat(user.userId);
+    messageStore.updateMessage(user.roomId, messageId, { reactions });
+
+    io.to(user.roomId).emit('message-reactions', { messageId, reactions: describeReactions(reactions) });
+  });
+
+  // Handle removing your emoji reaction from a message
+  socket.on('remove-reaction', (data) => {
+    const user = activeUsers[socket.id];
+    if (!user) {
+      return;
+    }
+
+    const { messageId, emoji } = data;
+
+    const original = messageStore.getMessage(user.roomId, messageId);
+    if (!original || !original.reactions ||
+        !Object.prototype.hasOwnProperty.call(original.reactions, emoji)) {
+      return;
+    }
+
+    const reactions = getReactionUserIds(original.reactions);
+    reactions[emoji] = reactions[emoji].filter((id) => id !== user.userId);
+    if (reactions[emoji].length === 0) {
+      delete reactions[emoji];
+    }
+    messageStore.updateMessage(user.roomId, messageId, { reactions });
+
+    io.to(user.roomId).emit('message-reactions', { messageId, reactions: describeReactions(reactions) });
+  });
+
+  // Handle opening a thread: send the message and all its replies
+  socket.on('get-thread', (data) => {
+    const user = activeUsers[socket.id];
+    if (!user) {
+      return;
+    }
+
+    const { messageId } = data;
+
+    const parent = messageStore.getMessage(user.roomId, messageId);
+    if (!parent || parent.type === 'system') {
+      socket.emit('error', { message: 'Message not found' });
+      return;
+    }
+
+    socket.emit('thread-messages', {
+      parent: withThreadInfo(user.roomId, parent),
+      replies: messageStore.getReplies(user.roomId, messageId)
+        .map((message) => withThreadInfo(user.roomId, message))
+    });
+  });
+
+  // Handle typing indicators (just relayed to the rest of the room)
+  socket.on('typing-start', () => {
+    const user = activeUsers[socket.id];
+    if (!user) {
+      return;
+    }
+
+    socket.to(user.roomId).emit('user-typing', {
+      socketId: socket.id,
+      username: user.username,
+      isTyping: true
+    });
+  });
+
+  socket.on('typing-stop', () => {
+    const user = activeUsers[socket.id];
+    if (!user) {
+      return;
+    }
+
+    socket.to(user.roomId).emit('user-typing', {
+      socketId: socket.id,
+      username: user.username,
+      isTyping: false
+    });
+  });
+
+  // Handle read receipts: remember the last message this user has seen
+  socket.on('mark-read', (data) => {
+    const user = activeUsers[socket.id];
+    if (!user) {
+      return;
+    }
+
+    const { messageId } = data;
+
+    if (!messageStore.getMessage(user.roomId, messageId)) {
+      return;
+    }
+
+    if (!readPositions[user.roomId]) {
+      readPositions[user.roomId] = Object.create(null);
+    }
+    if (readPositions[user.roomId][user.username] === messageId) {
+      return;
+    }
+    readPositions[user.roomId][user.username] = messageId;
+
+    io.to(user.roomId).emit('read-receipts', getRoomReadReceipts(user.roomId));
+  });
+
   // Handle getting room users list
   socket.on('get-room-users', () => {
     const user = activeUsers[socket.id];
@@ -184,16 +2253,8 @@ io.on('connection', (socket) => {
       return;
     }
 
-    // Get all users in the same room
-    const roomUsers = [];
-    Object.keys(activeUsers).forEach((socketId) => {
-      if (activeUsers[socketId].roomId === user.roomId && socketId !== socket.id) {
-        roomUsers.push({
-          socketId: socketId,
-          username: activeUsers[socketId].username
-        });
-      }
-    });
+    // Get all other users in the same room
+    const roomUsers = getRoomUsers(user.roomId).filter((u) => u.socketId !== socket.id);
 
     socket.emit('room-users-list', roomUsers);
   });
@@ -214,6 +2275,8 @@ io.on('connection', (socket) => {
       return;
     }
 
+    callInvites.set(socket.id, targetSocketId);
+
     // Send call request to target user
     socket.to(targetSocketId).emit('incoming-call', {
       callerSocketId: socket.id,
@@ -230,10 +2293,17 @@ io.on('connection', (socket) => {
     const user = activeUsers[socket.id];
     const caller = activeUsers[callerSocketId];
 
-    if (!user || !caller) {
+    // Only a call made to this socket can be accepted
+    if (!user || !caller || callInvites.get(callerSocketId) !== socket.id) {
       return;
     }
 
+    callInvites.delete(callerSocketId);
+    endCallPairing(socket.id);
+    endCallPairing(callerSocketId);
+    callPartners.set(socket.id, callerSocketId);
+    callPartners.set(callerSocketId, socket.id);
+
     // Notify caller that call was accepted
     socket.to(callerSocketId).emit('call-accepted', {
       answererSocketId: socket.id,
@@ -249,10 +2319,12 @@ io.on('connection', (socket) => {
     const user = activeUsers[socket.id];
     const caller = activeUsers[callerSocketId];
 
-    if (!user || !caller) {
+    if (!user || !caller || callInvites.get(callerSocketId) !== socket.id) {
       return;
     }
 
+    callInvites.delete(callerSocketId);
+
     // Notify caller that call was rejected
     socket.to(callerSocketId).emit('call-rejected', {
       answererSocketId: socket.id,
@@ -267,10 +2339,14 @@ io.on('connection', (socket) => {
     const { targetSocketId } = data;
     const user = activeUsers[socket.id];
 
-    if (!user) {
+    // Only the other party (or the person being called) hears about it
+    if (!user || !isCallPeer(socket.id, targetSocketId)) {
       return;
     }
 
+    endCallPairing(socket.id);
+    cancelCallInvites(socket.id);
+
     // Notify other party that call ended
     socket.to(targetSocketId).emit('call-ended', {
       fromSocketId: socket.id,
@@ -280,62 +2356,178 @@ io.on('connection', (socket) => {
     console.log(`${user.username} ended call`);
   });
 
+  // Handle starting or stopping a recording of a 1:1 call
+  // Recording happens in the browser; the other party is told so they see it
+  socket.on('call-recording', (data) => {
+    const { targetSocketId, recording } = data;
+    const user = activeUsers[socket.id];
+
+    // Only the person we are in a call with hears about it
+    if (!user || callPartners.get(socket.id) !== targetSocketId) {
+      return;
+    }
+
+    socket.to(targetSocketId).emit('call-recording', {
+      fromSocketId: socket.id,
+      fromUsername: user.username,
+      recording: recording
+    });
+
+    console.log(`${user.username} ${recording ? 'started' : 'stopped'} recording a call with ${activeUsers[targetSocketId].username}`);
+  });
+
+  // Handle the call quality summary a client sends when its call ends
+  // Only logged, to help figure out why calls were choppy
+  socket.on('call-stats-summary', (data) => {
+    const user = activeUsers[socket.id];
+    if (!user) {
+      return;
+    }
+
+    const stat = (value, unit) => (value === null ? 'n/a' : `${Math.round(value * 10) / 10}${unit}`);
+    console.log(
+      `📊 Call quality from ${user.username} in room ${user.roomId}: ` +
+      `${data.roomCall ? 'room' : '1:1'} ${data.callType} call, ${data.duration}s, ` +
+      `RTT ${stat(data.rtt, 'ms')}, jitter ${stat(data.jitter, 'ms')}, loss ${stat(data.packetLoss, '%')}, ` +
+      `bitrate ${stat(data.bitrate, 'kbps')}, ${data.connection || 'unknown'} connection, codec ${data.codec || 'n/a'}`
+    );
+  });
+
+  // Handle joining the room's group call
+  // The joiner gets the current participants and sends each of them an offer
+  socket.on('join-room-call', (data) => {
+    const user = activeUsers[socket.id];
+    if (!user) {
+      return;
+    }
+
+    const { callType } = data;
+    const participants = getRoomCallParticipants(user.roomId);
+
+    // Back after a dropped connection: connect again to everyone else
+    if (participants.some((p) => p.socketId === socket.id)) {
+      socket.emit('room-call-joined', { participants: participants.filter((p) => p.socketId !== socket.id) });
+      return;
+    }
+    if (participants.length >= MAX_ROOM_CALL_PARTICIPANTS) {
+      socket.emit('call-error', { message: `The room call is full (max ${MAX_ROOM_CALL_PARTICIPANTS} people)` });
+      return;
+    }
+
+    if (!roomCalls[user.roomId]) {
+      roomCalls[user.roomId] = {};
+    }
+    roomCalls[user.roomId][socket.id] = { username: user.username, callType };
+
+    socket.emit('room-call-joined', { participants });
+    participants.forEach((p) => {
+      io.to(p.socketId).emit('room-call-participant-joined', {
+        socketId: socket.id,
+        username: user.username,
+        callType
+      });
+    });
+    io.to(user.roomId).emit('room-call-status', { participants: getRoomCallParticipants(user.roomId) });
+
+    console.log(`${user.username} joined the call in room ${user.roomId} (${callType})`);
+  });
+
+  // Handle leaving the room's group call
+  socket.on('leave-room-call', () => {
+    const user = activeUsers[socket.id];
+    if (!user) {
+      return;
+    }
+
+    leaveRoomCall(socket, user.roomId);
+  });
+
   // WebRTC Signaling: Handle WebRTC offer
+  // roomCall marks signalling for a group call rather than a 1:1 call
+  // Signalling is only relayed between people in the same call
   socket.on('webrtc-offer', (data) => {
-    const { targetSocketId, offer } = data;
+    const { targetSocketId, offer, roomCall } = data;
+    const allowed = roomCall
+      ? inRoomCallTogether(activeUsers[socket.id].roomId, socket.id, targetSocketId)
+      : isCallPeer(socket.id, targetSocketId);
+    if (!allowed) {
+      return;
+    }
     socket.to(targetSocketId).emit('webrtc-offer', {
       fromSocketId: socket.id,
-      offer: offer
+      offer: offer,
+      roomCall: !!roomCall
     });
   });
 
   // WebRTC Signaling: Handle WebRTC answer
   socket.on('webrtc-answer', (data) => {
-    const { targetSocketId, answer } = data;
+    const { targetSocketId, answer, roomCall } = data;
+    const allowed = roomCall
+      ? inRoomCallTogether(activeUsers[socket.id].roomId, socket.id, targetSocketId)
+      : isCallPeer(socket.id, targetSocketId);
+    if (!allowed) {
+      return;
+    }
     socket.to(targetSocketId).emit('webrtc-answer', {
       fromSocketId: socket.id,
-      answer: answer
+      answer: answer,
+      roomCall: !!roomCall
     });
   });
 
   // WebRTC Signaling: Handle ICE candidates
   socket.on('webrtc-ice-candidate', (data) => {
-    const { targetSocketId, candidate } = data;
+    const { targetSocketId, candidate, roomCall } = data;
+    const allowed = roomCall
+      ? inRoomCallTogether(activeUsers[socket.id].roomId, socket.id, targetSocketId)
+      : isCallPeer(socket.id, targetSocketId);
+    if (!allowed) {
+      return;
+    }
     socket.to(targetSocketId).emit('webrtc-ice-candidate', {
       fromSocketId: socket.id,
-      candidate: candidate
+      candidate: candidate,
+      roomCall: !!roomCall
     });
   });
 
   // Handle disconnection
-  socket.on('disconnect', () => {
-    const user = activeUsers[socket.id];
-    
-    if (user) {
-      // Notify others in the room that user left
-      socket.to(user.roomId).emit('user-left', {
-        username: user.username,
-        message: `${user.username} left the room`
-      });
-      
-      // Remove user from active users first
-      delete activeUsers[socket.id];
-      
-      // Send updated user list to remaining users in room
-      const roomUsers = [];
-      Object.keys(activeUsers).forEach((sid) => {
-        if (activeUsers[sid].roomId === user.roomId) {
-          roomUsers.push({
-            socketId: sid,
-            username: activeUsers[sid].username
-          });
-        }
-      });
-      io.to(user.roomId).emit('room-users-list', roomUsers);
-      
-      console.log(`${user.username} left room: ${user.roomId}`);
+  socket.on('disconnect', (reason) => {
+    // The connection dropped (rather than the user leaving): allow a quick comeback
+    const dropped = !!activeUsers[socket.id] &&
+      reason !== 'client namespace disconnect' && reason !== 'server namespace disconnect';
+
+    if (activeUsers[socket.id]) {
+      const { userId, username, roomId } = activeUsers[socket.id];
+      const leaveMessage = `${username} left the room`;
+
+      // A connection replaced by a newer one, or one that may still come back, leaves quietly
+      leaveRoom(socket, dropped || socket.data.replaced ? null : leaveMessage);
+
+      if (dropped) {
+        droppedSockets.set(socket.id, { userId, roomId });
+        setTimeout(() => {
+          // Not back in time: announce the leave after all
+          if (droppedSockets.delete(socket.id)) {
+            io.to(roomId).emit('user-left', { username, message: leaveMessage });
+            saveSystemMessage(roomId, leaveMessage);
+            leaveRoomCall(socket, roomId);
+          }
+          endCallPairing(socket.id);
+        }, RECONNECT_GRACE).unref();
+      }
     }
+
+    // A 1:1 call waits for a dropped socket to come back (see above)
+    if (!dropped) {
+      endCallPairing(socket.id);
+    }
+    cancelCallInvites(socket.id);
     
+    // Socket buckets are not needed any more
+    Object.keys(rateLimiters).forEach((group) => rateLimiters[group].client.reset(socket.id));
+
     console.log('User disconnected:', socket.id);
   });
 });
@@ -344,5 +2536,9 @@ io.on('connection', (socket) => {
 server.listen(PORT, () => {
   console.log(`🚀 Server is running on http://localhost:${PORT}`);
   console.log(`📁 Uploads directory: ${uploadsDir}`);
+  console.log(`🗄️  Message history: ${process.env.MESSAGE_STORE || 'file'} store`);
+  console.log(`📡 TURN servers: ${TURN_URLS.length > 0 ? TURN_URLS.join(', ') : 'none (STUN only)'}`);
+
+  uploadSweeper.start(UPLOAD_SWEEP_INTERVAL);
 });
 